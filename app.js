@@ -1,25 +1,42 @@
 import * as THREE from './libs/three/three.module.js';
 import { GLTFLoader } from './libs/three/jsm/GLTFLoader.js';
 import { DRACOLoader } from './libs/three/jsm/DRACOLoader.js';
-import { RGBELoader } from './libs/three/jsm/RGBELoader.js';
+import { KTX2Loader } from './libs/three/jsm/KTX2Loader.js';
+import { MeshoptDecoder } from './libs/three/jsm/meshopt_decoder.module.js';
 import { Stats } from './libs/stats.module.js';
 import { LoadingBar } from './libs/LoadingBar.js';
 import { VRButton } from './libs/VRButton.js';
 import { CanvasUI } from './libs/CanvasUI.js';
 import { GazeController } from './libs/GazeController.js'
+import { DesktopControls } from './libs/DesktopControls.js';
+import { TeleportController } from './libs/TeleportController.js';
+import { TurnController } from './libs/TurnController.js';
+import { HotspotData } from './libs/HotspotData.js';
+import { TourController } from './libs/TourController.js';
+import { AudioManager } from './libs/AudioManager.js';
+import { Minimap } from './libs/Minimap.js';
+import { NavGrid } from './libs/NavGrid.js';
+import { RouteGuide } from './libs/RouteGuide.js';
+import { SceneManifest } from './libs/SceneManifest.js';
+import { LightingManager } from './libs/LightingManager.js';
+import { TimeOfDay } from './libs/TimeOfDay.js';
+import { MaterialRules } from './libs/MaterialRules.js';
+import { MediaSurfaces } from './libs/MediaSurfaces.js';
+import { ModelOptimizer } from './libs/ModelOptimizer.js';
+import { QualityManager } from './libs/QualityManager.js';
+import { StatsPanel } from './libs/StatsPanel.js';
+import { UIText } from './libs/UIText.js';
+import { ComfortVignette } from './libs/ComfortVignette.js';
 import { XRControllerModelFactory } from './libs/three/jsm/XRControllerModelFactory.js';
 class App{
-	constructor(){
+	constructor( manifestUrl ){
 		const container = document.createElement( 'div' );
 		document.body.appendChild( container );
-
-		this.assetsPath = './assets/';
         
 		this.camera = new THREE.PerspectiveCamera( 60, window.innerWidth / window.innerHeight, 0.01, 500 );
 		this.camera.position.set( 0, 1.6, 0 );
         
         this.dolly = new THREE.Object3D(  );
-     this.dolly.position.set(2, 0, 20);
         this.dolly.add( this.camera );
         this.dummyCam = new THREE.Object3D();
         this.camera.add( this.dummyCam );
@@ -29,13 +46,40 @@ class App{
        // this.scene.fog = new THREE.Fog(0xeeeeee, 20, 100); 
 		const ambient = new THREE.HemisphereLight(0xFFD700, 0xAAAAAA, 0.8);
 		this.scene.add(ambient);
+        this.ambient = ambient;
 
 		this.renderer = new THREE.WebGLRenderer({ antialias: true });
-		this.renderer.setPixelRatio( window.devicePixelRatio );
 		this.renderer.setSize( window.innerWidth, window.innerHeight );
 		this.renderer.outputEncoding = THREE.sRGBEncoding;
 		container.appendChild( this.renderer.domElement );
-        this.setEnvironment();
+        
+        //Every file goes through the one manager so the loading bar shows the total
+        this.loadingManager = new THREE.LoadingManager();
+		this.loadingBar = new LoadingBar( { manager: this.loadingManager } );
+        this.loadingBar.stage = 'Reading the scene';
+        
+        this.lighting = new LightingManager( this.renderer, this.scene, this.ambient, {
+            manager: this.loadingManager,
+            onChange: id => this.updateLightingMenu( id )
+        });
+        
+        const params = new URLSearchParams( window.location.search );
+        const shadows = params.get( 'shadows' );
+        this.timeOfDay = new TimeOfDay( this.renderer, this.scene, this.lighting, { quality: ( shadows !== null ) ? shadows : 'medium' } );
+        
+        //quality=high etc fixes the tier, shadows=low etc is the most the tiers may use
+        //lang=fr etc picks the language of the panels, otherwise the browser's is used
+        this.text = new UIText( ( params.get( 'lang' ) !== null ) ? params.get( 'lang' ) : undefined );
+        
+        const quality = params.get( 'quality' );
+        this.quality = new QualityManager( this.renderer, {
+            timeOfDay: this.timeOfDay,
+            lighting: this.lighting,
+            tier: ( quality !== null ) ? quality : undefined,
+            auto: ( quality === null ),
+            maxShadows: ( shadows !== null ) ? shadows : 'high',
+            panel: true
+        });
 	
         window.addEventListener( 'resize', this.resize.bind(this) );
         
@@ -44,147 +88,687 @@ class App{
         this.origin = new THREE.Vector3();
         this.workingVec3 = new THREE.Vector3();
         this.workingQuaternion = new THREE.Quaternion();
+        this.workingEuler = new THREE.Euler( 0, 0, 0, 'YXZ' );
         this.raycaster = new THREE.Raycaster();
+        this.forward = new THREE.Vector3(0,0,-1);
+        //Metres per second, changed on the settings page
+        this.moveSpeed = 2;
+        this.vignette = new ComfortVignette( this.camera );
+        //Triangles of the model shown each frame when there is no preview, see revealCollege
+        this.revealTriangles = 200000;
+        
+        this.desktopControls = new DesktopControls( this.dolly, this.camera, this.renderer.domElement );
+        
+        this.audio = new AudioManager( this.camera, this.loadingManager );
+        this.audio.unlockOnGesture();
         
         this.stats = new Stats();
 		container.appendChild( this.stats.dom );
+        //Click the stats to cycle through to these, they show what the optimizer saves
+        this.callsPanel = this.stats.addPanel( new Stats.Panel( 'CALLS', '#ff8', '#221' ) );
+        this.trianglesPanel = this.stats.addPanel( new Stats.Panel( 'KTRIS', '#f8f', '#212' ) );
+        this.stats.showPanel( 0 );
+        this.statsTime = 0;
         
-		this.loadingBar = new LoadingBar();
-		
-		this.loadCollege();
+        //C, L and M switch culling, levels of detail and merging to compare them in the stats
+        document.addEventListener( 'keydown', event => {
+            if ( this.optimizer === undefined || event.repeat ) return;
+            const optimizer = this.optimizer;
+            switch( event.code ){
+                case 'KeyC':
+                    optimizer.culling = !optimizer.culling;
+                    break;
+                case 'KeyL':
+                    optimizer.lod = !optimizer.lod;
+                    break;
+                case 'KeyM':
+                    optimizer.merge = !optimizer.merge;
+                    break;
+            }
+            this.updatePerformanceMenu();
+        });
         
         this.immersive = false;
+        this.locomotion = 'smooth';
+        
+        this.routeGuide = new RouteGuide( this.scene );
+        //Navigating to a hotspot walks the route, when false the route is only drawn
+        this.autoWalk = true;
+        
+        this.tour = new TourController( this.dolly, {
+            audio: this.audio,
+            onDepart: ( stop, index, path ) => {
+                this.routeGuide.show( path );
+                this.showTourBoard( stop, index );
+            },
+            //Walls in the way, the route stays drawn for the user to walk
+            onBlocked: ( stop, index, path ) => {
+                this.routeGuide.show( path );
+                this.showTourBoard( stop, index );
+            },
+            onArrive: ( stop, index ) => {
+                this.routeGuide.hide();
+                this.showTourBoard( stop, index );
+            },
+            onEnd: () => {
+                this.routeGuide.hide();
+                this.boardShown = '';
+                this.setBoardButtons( 'none' );
+                this.updateInfoboard();
+            }
+        });
+        
+        this.loadManifest( manifestUrl );
+	}
+    
+    //Without a url the scene query parameter or ./scene.json is used
+    loadManifest( url ){
+        const self = this;
+        
+        SceneManifest.load( url, this.loadingManager )
+            .then( manifest => self.loadScene( manifest ) )
+            .catch( err => {
+                console.error( `Failed to load the scene manifest: ${err.message}` );
+                //Something to stand on and look at until the manifest loads
+                if (self.college === undefined){
+                    self.setEnvironment();
+                    self.showPlaceholder( 'The scene could not be read', () => self.loadManifest( url ) );
+                }
+                self.loadingBar.showError( 'The scene could not be read', {
+                    url: err.url,
+                    reason: err.message,
+                    onRetry: () => self.loadManifest( url )
+                });
+            });
+    }
+    
+    loadScene( manifest ){
+        this.manifest = manifest;
+        
+        this.loadingBar.brand( manifest.loading );
+        
+        //merge=0, lod=0 or culling=0 in the query switch that part off from the start
+        const params = new URLSearchParams( window.location.search );
+        const toggles = {};
+        [ 'merge', 'lod', 'culling' ].forEach( name => {
+            if ( params.get( name ) !== null ) toggles[ name ] = ( params.get( name ) !== '0' );
+        });
+        if ( this.optimizer !== undefined ) this.optimizer.dispose();
+        this.optimizer = new ModelOptimizer( Object.assign( {}, manifest.performance, toggles ) );
+        this.updatePerformanceMenu();
+        
+        const spawn = manifest.spawn;
+        this.dolly.position.fromArray( spawn.position );
+        this.dolly.rotation.set( 0, THREE.MathUtils.degToRad( spawn.rotation ), 0 );
+        this.desktopControls.reset();
+        
+        this.timeOfDay.latitude = manifest.location.latitude;
+        this.timeOfDay.north = manifest.location.north;
+        
+        this.setEnvironment( manifest.environment );
+        
+        this.loadCollege();
+        
+        this.loadHotspots();
+    }
+    
+    //Hotspots are optional, the building can be explored without them
+    loadHotspots(){
+        const url = this.manifest.hotspots;
+        if ( url === undefined ) return;
         
         const self = this;
         
-        fetch('./college.json')
-            .then(response => response.json())
-            .then(obj =>{
+        HotspotData.load( url, this.loadingManager )
+            .then(data =>{
                 self.boardShown = '';
-                self.boardData = obj;
+                self.boardData = data;
+                if (self.detailLoaded) self.linkHotspots();
+            })
+            .catch(err => {
+                console.error( `Failed to load the hotspot data: ${err.message}` );
+                self.loadingBar.showError( 'The hotspots could not be loaded', {
+                    url,
+                    reason: err.message,
+                    onRetry: () => self.loadHotspots(),
+                    compact: true
+                });
             });
-	}
+    }
 	
-    setEnvironment(){
-    const loader = new RGBELoader().setDataType( THREE.UnsignedByteType );
-    const pmremGenerator = new THREE.PMREMGenerator( this.renderer );
-    pmremGenerator.compileEquirectangularShader();
-
-    const self = this;
-
-    loader.load( './assets/hdr/rogland_clear_night_2k.hdr', ( texture ) => {
-        const envMap = pmremGenerator.fromEquirectangular( texture ).texture;
-        pmremGenerator.dispose();
-
-        self.scene.environment = envMap;
-        self.scene.background = texture; // <-- Add this line
-
-        console.log('HDRI environment set:', texture);
-    }, undefined, (err)=>{
-        console.error( 'An error occurred setting the environment');
-    } );
-}
+    //The lighting or time query parameters win over the preset or HDR named in the manifest
+    setEnvironment( environment = {} ){
+        const lighting = this.lighting;
+        
+        if ( environment.url !== undefined ) lighting.addPreset( 'scene', { name: this.manifest.name, hdr: environment.url } );
+        lighting.background = ( environment.background !== false );
+        
+        let fallback = 'night';
+        if ( environment.preset !== undefined ){
+            fallback = environment.preset;
+        }else if ( environment.url !== undefined ){
+            fallback = 'scene';
+        }
+        
+        //Tried in order when an HDR fails to load, a plain colour is the last resort
+        this.lightingFallbacks = [ ...new Set( [ fallback, 'night' ] ) ];
+        
+        const params = new URLSearchParams( window.location.search );
+        
+        //time=18:30 and optionally date=2026-06-21 start in time of day mode
+        const time = params.get( 'time' );
+        if ( time !== null ){
+            const [ hours, minutes ] = time.split( ':' ).map( Number );
+            const date = params.get( 'date' );
+            if ( date !== null && !isNaN( new Date( date ) ) ) this.timeOfDay.date = new Date( date );
+            if ( !isNaN( hours ) ){
+                this.setTimeOfDay( hours + ( ( minutes !== undefined && !isNaN( minutes ) ) ? minutes / 60 : 0 ) );
+                return;
+            }
+            console.warn( `App.setEnvironment: time ${time} is not hh:mm` );
+        }
+        
+        const param = params.get( 'lighting' );
+        
+        this.setPresetWithFallback( ( param !== null ) ? [ param, ...this.lightingFallbacks ] : this.lightingFallbacks );
+    }
+    
+    //Tries each preset id until one loads, showing a plain background if none do
+    setPresetWithFallback( ids ){
+        const lighting = this.lighting;
+        const self = this;
+        
+        const next = ( index ) => {
+            if ( index >= ids.length ){
+                console.warn( 'App.setPresetWithFallback: no lighting preset could be loaded, using a plain background' );
+                lighting.showColor( 0x303040 );
+                self.updateLightingMenu();
+                return;
+            }
+            lighting.setPreset( ids[ index ], 0 ).then( ok => {
+                if ( !ok ) next( index + 1 );
+            });
+        };
+        
+        next( 0 );
+    }
+    
+    setLightingPreset( id ){
+        this.timeOfDay.stop();
+        this.lighting.setPreset( id );
+    }
+    
+    //Switches to time of day mode, hours is solar time
+    setTimeOfDay( hours ){
+        if ( hours !== undefined ) this.timeOfDay.time = hours;
+        
+        if ( this.timeOfDay.enabled ){
+            this.updateLightingMenu();
+            return;
+        }
+        
+        this.timeOfDay.start().then( ok => {
+            if ( ok ){
+                this.updateLightingMenu();
+            }else if ( this.lighting.preset === undefined ){
+                //Nothing is lit yet, use the presets instead
+                this.setPresetWithFallback( this.lightingFallbacks );
+            }
+        });
+    }
     
     resize(){
         this.camera.aspect = window.innerWidth / window.innerHeight;
         this.camera.updateProjectionMatrix();
         this.renderer.setSize( window.innerWidth, window.innerHeight );  
     }
+    
+    //Loads the material rules file and applies it to the model, call again to pick up edits to the file
+    loadMaterials(){
+        if ( this.manifest.materials === undefined ) return Promise.resolve();
+        
+        const self = this;
+        
+        return MaterialRules.load( this.manifest.materials, this.loadingManager )
+            .then( rules => {
+                if ( self.materialRules !== undefined ) self.materialRules.dispose();
+                self.materialRules = rules;
+                self.applyMaterials();
+            })
+            .catch( err => {
+                console.error( `Failed to load the material rules: ${err.message}` );
+                self.loadingBar.showError( 'The material rules could not be loaded', {
+                    url: self.manifest.materials,
+                    reason: err.message,
+                    onRetry: () => self.loadMaterials(),
+                    compact: true
+                });
+            });
+    }
+    
+    applyMaterials(){
+        if ( this.materialRules === undefined ) return;
+        //The merged meshes copy the materials, so they are rebuilt from the changed originals
+        const optimized = this.clearOptimizer();
+        this.materialRules.apply( this.college );
+        //Rules can make materials see through, which stops them casting shadows
+        this.timeOfDay.setShadowCasters( this.college, this.proxy );
+        if ( optimized ) this.optimizeCollege();
+    }
+    
+    //Loads the images and videos shown on meshes, call again to pick up edits to the file
+    loadMedia(){
+        if ( this.manifest.media === undefined ) return Promise.resolve();
+        
+        const self = this;
+        
+        return MediaSurfaces.load( this.manifest.media, this.loadingManager )
+            .then( media => {
+                const optimized = self.clearOptimizer();
+                if ( self.media !== undefined ) self.media.dispose();
+                self.media = media;
+                media.attach( self.college );
+                if ( optimized ) self.optimizeCollege();
+            })
+            .catch( err => {
+                console.error( `Failed to load the media: ${err.message}` );
+                self.loadingBar.showError( 'The images and videos could not be loaded', {
+                    url: self.manifest.media,
+                    reason: err.message,
+                    onRetry: () => self.loadMedia(),
+                    compact: true
+                });
+            });
+    }
+    
+    //Merges, culls and adds levels of detail to the model, media surfaces are left alone
+    optimizeCollege(){
+        if ( this.optimizer === undefined || this.college === undefined ) return;
+        
+        const media = this.media;
+        const exclude = mesh => ( media !== undefined && media.surfaces.some( surface => surface.mesh === mesh ) );
+        
+        this.optimizer.optimize( this.college, this.proxy, exclude );
+    }
+    
+    //Shows the originals again, returns true if the model had been optimized
+    clearOptimizer(){
+        if ( this.optimizer === undefined || this.optimizer.root === undefined ) return false;
+        this.optimizer.clear();
+        return true;
+    }
+    
+    //Shows the preview model from the manifest first if it has one, then streams in the detailed model
+    //Without a preview setCollege shows the collision mesh first, see revealCollege
 	loadCollege(){
-const spongebobTexture = new THREE.TextureLoader().load('./assets/spongebob.png');
-spongebobTexture.flipY = false;
-spongebobTexture.wrapS = THREE.ClampToEdgeWrapping;
-spongebobTexture.wrapT = THREE.ClampToEdgeWrapping;
-			
-	const loader = new GLTFLoader( ).setPath(this.assetsPath);
-        const dracoLoader = new DRACOLoader();
-        dracoLoader.setDecoderPath( './libs/three/js/draco/' );
+        const model = this.manifest.model;
+        const self = this;
+        
+        this.loadingBar.stage = 'Loading the building';
+        
+        const loadDetail = () => {
+            self.loadingBar.stage = 'Loading the building';
+            self.loadModel( model.url )
+                .then( college => self.setCollege( college ) )
+                .catch( err => {
+                    console.error( `Failed to load ${model.url}: ${err.message}` );
+                    //Keep the preview if there is one, otherwise give the viewer a floor to stand on
+                    if (self.college === undefined) self.showPlaceholder( 'The building could not be loaded', loadDetail );
+                    self.loadingBar.showError( 'The building could not be loaded', {
+                        url: model.url,
+                        reason: err.message,
+                        onRetry: loadDetail
+                    });
+                });
+        };
+        
+        if ( model.preview === undefined || this.college !== undefined ){
+            loadDetail();
+            return;
+        }
+        
+        this.loadModel( model.preview )
+            .then( preview => self.setCollege( preview, true ) )
+            .catch( () => console.warn( `App.loadCollege: no preview, waiting for ${model.url}` ) )
+            .then( loadDetail );
+	}
+    
+    //Resolves with the model, its download progress is added to the loading bar
+    //Meshes may be DRACO or meshopt compressed and textures KTX2
+    loadModel( url ){
+        const model = this.manifest.model;
+        
+        const loader = new GLTFLoader( this.loadingManager );
+        const dracoLoader = new DRACOLoader( this.loadingManager );
+        dracoLoader.setDecoderPath( model.draco );
         loader.setDRACOLoader( dracoLoader );
         
+        //detectSupport checks the renderer's extensions so the transcoder targets a format the GPU reads
+        const ktx2Loader = new KTX2Loader( this.loadingManager );
+        ktx2Loader.setTranscoderPath( model.basis ).detectSupport( this.renderer );
+        if ( !Object.values( ktx2Loader.basisLoader.workerConfig ).some( supported => supported ) ){
+            console.warn( 'App.loadModel: no compressed texture formats, KTX2 textures will be uncompressed RGBA' );
+        }
+        loader.setKTX2Loader( ktx2Loader );
+        loader.setMeshoptDecoder( MeshoptDecoder );
+        
         const self = this;
-		
-		// Load a glTF resource
-		loader.load(
-			// resource URL
-			'college.glb',
-			// called when the resource is loaded
-			function ( gltf ) {
-
-                const college = gltf.scene.children[0];
-				self.scene.add( college );
-				college.traverse(function (child) {
-    if (child.isMesh){
-    console.log(child.name);
-    if (child.name === "BoltonCollege_SecretWall") {
-        // Get wall size and aspect ratio
-        const box = new THREE.Box3().setFromObject(child);
-        const size = new THREE.Vector3();
-        box.getSize(size);
-        const wallWidth = size.z; // z is width
-        const wallHeight = size.y; // y is height
-        const wallAspect = wallWidth / wallHeight;
-        const imageAspect = 330 / 236;
-
-        // Calculate repeat to preserve image aspect ratio
-        let repeatX = 1;
-        let repeatY = 1;
-        if (imageAspect > wallAspect) {
-            // Image is wider than wall, fit width
-            repeatY = wallAspect / imageAspect;
-        } else {
-            // Image is taller than wall, fit height
-            repeatX = imageAspect / wallAspect;
-        }
-        spongebobTexture.repeat.set(repeatX, repeatY);
-        spongebobTexture.offset.set((1 - repeatX) / 2, (1 - repeatY) / 2);
-
-        child.material.color.set(0xffffff);
-        child.material.map = spongebobTexture;
-        child.material.needsUpdate = true;
-    }
-    if (child.name.indexOf("PROXY")!=-1){
-        child.material.visible = false;
-        self.proxy = child;
-    }else if (child.material.name.indexOf('Glass')!=-1){
-        child.material.opacity = 0.1;
-        child.material.transparent = true;
-    }else if (child.material.name.indexOf("SkyBox")!=-1){
-        // Hide the skybox mesh so the HDRI background is visible
-        child.visible = false;
+        
+        return new Promise( ( resolve, reject ) => {
+            loader.load(
+                url,
+                gltf => {
+                    dracoLoader.dispose();
+                    ktx2Loader.dispose();
+                    resolve( gltf.scene.children[0] );
+                },
+                xhr => self.loadingBar.itemProgress( url, xhr.loaded / xhr.total ),
+                error => {
+                    dracoLoader.dispose();
+                    ktx2Loader.dispose();
+                    reject( ( error instanceof Error ) ? error : new Error( `${url} failed to load` ) );
+                }
+            );
+        });
     }
-}
-});                  
-                const door1 = college.getObjectByName("LobbyShop_Door__1_");
-                const door2 = college.getObjectByName("LobbyShop_Door__2_");
-		
-                const pos = door1.position.clone().sub(door2.position).multiplyScalar(0.5).add(door2.position);
-                const obj = new THREE.Object3D();
-                obj.name = "LobbyShop";
-                obj.position.copy(pos);
-                college.add( obj );
+    
+    //Makes college the walkable model, replacing the preview if one is showing
+    setCollege( college, preview = false ){
+        const manifest = this.manifest;
+        const self = this;
+        
+        if ( this.college !== undefined ){
+            this.clearOptimizer();
+            if ( this.media !== undefined ) this.media.dispose();
+            if ( this.materialRules !== undefined ) this.materialRules.restore();
+            this.scene.remove( this.college );
+            this.disposeModel( this.college );
+        }
+        
+        //A model still being shown is replaced
+        if ( this.reveal !== undefined ) this.endReveal();
+        
+        //The placeholder's retry panel goes with it
+        if ( this.placeholderSign !== undefined ){
+            this.placeholderSign.visible = false;
+            this.placeholderSign = undefined;
+        }
+        
+        this.scene.add( college );
+        
+        this.proxy = undefined;
+        college.traverse(function (child) {
+            if (child.isMesh && manifest.isCollisionMesh( child.name )){
+                child.material.visible = false;
+                self.proxy = child;
+            }
+        });
+        
+        if (this.proxy === undefined) console.warn( `App.setCollege: no collision mesh found in ${( preview ) ? manifest.model.preview : manifest.model.url}` );
+        
+        this.timeOfDay.setShadowCasters( college, this.proxy );
+        
+        this.college = college;
+        
+        //Without a preview the model is shown a few meshes at a time in front of a plain shell
+        const hadPreview = this.previewShown;
+        this.previewShown = preview;
+        const shown = ( !preview && !hadPreview && this.proxy !== undefined ) ? this.revealCollege( college ) : Promise.resolve();
+        
+        shown.then( () => {
+            if (self.college !== college) return;
+            
+            self.loadingBar.stage = 'Applying materials';
+            
+            //The rules hide meshes such as the sky box, they must be on before the minimap is drawn
+            const materials = ( self.materialRules !== undefined ) ? Promise.resolve( self.applyMaterials() ) : self.loadMaterials();
+            
+            materials.then( () => {
+                self.loadingBar.stage = 'Building the map and routes';
+                //The map is drawn before the optimizer hides rooms out of view
+                self.buildMinimap();
+                self.buildNavigation();
                 
-                self.loadingBar.visible = false;
-			
-                self.setupXR();
-			},
-			// called while loading is progressing
-			function ( xhr ) {
-
-				self.loadingBar.progress = (xhr.loaded / xhr.total);
-				
-			},
-			// called when loading has errors
-			function ( error ) {
-
-				console.log( 'An error happened' );
-
-			}
-		);
-	}
+                //Only the detailed model has the meshes media and hotspots are placed on
+                const media = ( preview ) ? Promise.resolve() : self.loadMedia();
+                media.then( () => {
+                    if (self.college === college) self.optimizeCollege();
+                });
+                
+                if (!preview){
+                    self.detailLoaded = true;
+                    if (self.boardData !== undefined) self.linkHotspots();
+                }
+                
+                if (self.loadingBar.hasError){
+                    //Leave the error up until it is dismissed
+                }else if (preview){
+                    //The preview can be explored while the detail streams in
+                    self.loadingBar.stage = 'Loading detail';
+                    self.loadingBar.compact = true;
+                }else{
+                    self.loadingBar.visible = false;
+                }
+                
+                if (self.controllers === undefined) self.setupXR();
+            });
+        });
+    }
+    
+    //First stage when the manifest has no preview, the collision mesh is drawn as a plain shell to walk
+    //in while the meshes are moved onto the rendered layer a few each frame, largest first, so the
+    //uploads and shader compiles of a big model are spread out. Resolves once every mesh is shown
+    revealCollege( college ){
+        const self = this;
+        
+        const shell = new THREE.Mesh( this.proxy.geometry, new THREE.MeshStandardMaterial( { color: 0xa0a0a0, side: THREE.DoubleSide } ) );
+        college.updateMatrixWorld( true );
+        shell.applyMatrix4( this.proxy.matrixWorld );
+        shell.name = 'Shell';
+        this.scene.add( shell );
+        
+        const triangles = mesh => ( ( mesh.geometry.index !== null ) ? mesh.geometry.index.count : mesh.geometry.attributes.position.count ) / 3;
+        
+        //Layers 1 and 2 are the WebXR eyes, the raycaster only tests layer 0 so the proxy stays on it
+        const meshes = [];
+        college.traverse( child => {
+            if ( child.isMesh && child !== self.proxy ){
+                child.layers.set( 3 );
+                meshes.push( { mesh: child, triangles: triangles( child ) } );
+            }
+        });
+        meshes.sort( ( a, b ) => b.triangles - a.triangles );
+        
+        if (!this.loadingBar.hasError){
+            this.loadingBar.stage = 'Showing the building';
+            this.loadingBar.compact = true;
+        }
+        
+        //Something to stand on and a map while the meshes appear
+        this.buildMinimap();
+        this.buildNavigation();
+        if (this.controllers === undefined) this.setupXR();
+        
+        return new Promise( resolve => {
+            self.reveal = { meshes, shell, resolve };
+        });
+    }
+    
+    //Called every frame while revealCollege is running
+    updateReveal(){
+        const reveal = this.reveal;
+        let budget = this.revealTriangles;
+        
+        while( reveal.meshes.length > 0 && budget > 0 ){
+            const item = reveal.meshes.shift();
+            item.mesh.layers.set( 0 );
+            budget -= item.triangles;
+        }
+        
+        if ( reveal.meshes.length == 0 ){
+            this.endReveal();
+            reveal.resolve();
+        }
+    }
+    
+    endReveal(){
+        this.scene.remove( this.reveal.shell );
+        this.reveal.shell.material.dispose();
+        this.reveal = undefined;
+    }
+    
+    //A floor and a sign standing in for a model that failed to load, replaced by setCollege
+    //onRetry is the loading screen's retry, the sign has a button for it as the page can't be seen in VR
+    showPlaceholder( message, onRetry ){
+        this.placeholderRetry = onRetry;
+        
+        if (this.college !== undefined){
+            //A retry from the sign failed
+            if (this.placeholderSign !== undefined){
+                this.placeholderSign.updateElement( 'message', message );
+                this.placeholderSign.updateConfig( 'retry', 'display', 'block' );
+            }
+            return;
+        }
+        
+        const placeholder = new THREE.Group();
+        placeholder.name = 'Placeholder';
+        const y = this.dolly.position.y;
+        
+        const floor = new THREE.Mesh( new THREE.PlaneGeometry( 40, 40 ), new THREE.MeshStandardMaterial( { color: 0x808080 } ) );
+        floor.rotation.x = -Math.PI / 2;
+        floor.position.set( this.dolly.position.x, y, this.dolly.position.z );
+        floor.receiveShadow = true;
+        placeholder.add( floor );
+        
+        const grid = new THREE.GridHelper( 40, 40, 0x444444, 0x666666 );
+        grid.position.set( floor.position.x, y + 0.01, floor.position.z );
+        placeholder.add( grid );
+        
+        const self = this;
+        
+        //The message is drawn in the scene so it can be read in VR, where the page is hidden
+        const config = {
+            panelSize: { width: 4, height: 1 },
+            width: 1024,
+            height: 256,
+            body: { backgroundColor: "#222", fontColor: "#fff", fontFamily: "Arial" },
+            message: { type: "text", position:{ top: 40, left: 20 }, width: 984, height: 70, fontSize: 48, textAlign: "center" },
+            retry: { type: "button", position:{ top: 140, left: 412 }, width: 200, height: 70, fontSize: 36, backgroundColor: "#007bff", hover: "#3395ff", onSelect: () => {
+                self.loadingBar.clearError();
+                self.placeholderSign.updateElement( 'message', 'Loading' );
+                self.placeholderSign.updateConfig( 'retry', 'display', 'none' );
+                self.placeholderRetry();
+            } },
+            renderer: this.renderer
+        };
+        const sign = new CanvasUI( { message, retry: "Retry" }, config );
+        sign.onSelect = () => this.audio.playClick();
+        sign.initPointer( this.camera, this.renderer.domElement );
+        //In front of the spawn point at eye height
+        sign.mesh.position.set( 0, 1.6, -4 ).applyQuaternion( this.dolly.quaternion ).add( this.dolly.position );
+        sign.mesh.quaternion.copy( this.dolly.quaternion );
+        placeholder.add( sign.mesh );
+        this.placeholderSign = sign;
+        
+        this.scene.add( placeholder );
+        //The floor is walked on like a collision mesh but stays visible
+        this.proxy = floor;
+        this.college = placeholder;
+        this.timeOfDay.setShadowCasters( placeholder );
+        
+        this.buildMinimap();
+        this.buildNavigation();
+        
+        if (this.controllers === undefined) this.setupXR();
+    }
+    
+    disposeModel( root ){
+        root.traverse( child => {
+            if ( !child.isMesh ) return;
+            child.geometry.dispose();
+            const materials = Array.isArray( child.material ) ? child.material : [ child.material ];
+            materials.forEach( material => {
+                Object.values( material ).forEach( value => {
+                    if ( value && value.isTexture ) value.dispose();
+                });
+                material.dispose();
+            });
+        });
+    }
+    
+    linkHotspots(){
+        //Anchors first so hotspots can target them
+        this.boardData.buildAnchors( this.college );
+        this.boardData.resolve( this.college );
+        
+        this.audio.configure( this.boardData.audio, this.boardData );
+        
+        this.minimap.setHotspots( this.boardData.list );
+        
+        const tour = new URLSearchParams( window.location.search ).get( 'tour' );
+        if ( tour !== null ) this.startTour( tour );
+    }
+    
+    buildMinimap(){
+        //Built again when the detailed model replaces the preview
+        if (this.minimap === undefined) this.minimap = new Minimap( this.renderer, { onSelect: hotspot => this.navigateTo( hotspot ) } );
+        this.minimap.build( this.college, this.proxy );
+        this.minimap.overlayVisible = !this.immersive;
+    }
+    
+    buildNavigation(){
+        this.navGrid = new NavGrid( { floorY: this.dolly.position.y } );
+        this.navGrid.build( this.proxy );
+        this.tour.navGrid = this.navGrid;
+    }
+    
+    //Shows the route to a hotspot and walks it as a single stop tour when autoWalk is set
+    navigateTo( hotspot ){
+        if ( hotspot === undefined || hotspot.object === undefined ) return;
+        
+        if ( this.autoWalk ){
+            this.navTarget = undefined;
+            this.tour.start( { name: this.text.get( 'to', hotspot.name ), stops: [ { hotspot, dwell: 0 } ] } );
+            return;
+        }
+        
+        const goal = hotspot.object.getWorldPosition( new THREE.Vector3() );
+        const path = this.navGrid.findPath( this.dolly.position, goal );
+        if ( path === undefined ){
+            console.warn( `App.navigateTo: no route to ${hotspot.name}` );
+            return;
+        }
+        this.navTarget = hotspot;
+        this.routeGuide.show( path );
+    }
+    
+    //Clears a drawn route once the user has walked into range of its hotspot
+    updateNavigation(){
+        if ( this.navTarget === undefined ) return;
+        const pos = this.navTarget.object.getWorldPosition( this.workingVec3 );
+        if ( this.dolly.position.distanceTo( pos ) < this.navTarget.radius ){
+            this.navTarget = undefined;
+            this.routeGuide.hide();
+        }
+    }
+    
+    startTour( id ){
+        const tours = ( this.boardData !== undefined ) ? this.boardData.tours : {};
+        //Without an id start the first tour in the data file
+        const tour = ( id !== undefined ) ? tours[id] : Object.values( tours )[0];
+        if ( tour === undefined ){
+            console.warn( `App.startTour: no tour ${id} found` );
+            return;
+        }
+        this.tour.start( tour );
+    }
+    
     setupXR(){
         this.renderer.xr.enabled = true;
 
-        const btn = new VRButton( this.renderer );
+        //Entering VR is a user gesture so the audio can start
+        const btn = new VRButton( this.renderer, { onSessionStart: () => this.audio.unlock() } );
         
         const self = this;
         
@@ -192,23 +776,55 @@ spongebobTexture.wrapT = THREE.ClampToEdgeWrapping;
         
         function onSelectStart( event ) {
         
+            //Pointing at the board, the select belongs to CanvasUI
+            const index = self.controllers.indexOf( this );
+            if ( self.ui.selectedElements[ index ] !== undefined ) return;
+            if ( self.lightingMenu.selectedElements[ index ] !== undefined ) return;
+            if ( self.placeholderSign !== undefined && self.placeholderSign.selectedElements[ index ] !== undefined ) return;
+            
+            //Pointing at the wrist map
+            if ( self.minimap.select( this ) ) return;
+            
             this.userData.selectPressed = true;
         
         }
 
         function onSelectEnd( event ) {
         
+            if ( !this.userData.selectPressed ) return;
+            
             this.userData.selectPressed = false;
+            
+            if ( self.locomotion == 'teleport' ) self.teleport.teleport( self.dolly );
         
         }
         
+        function onSqueezeStart( event ){
+            //Squeeze toggles between smooth and teleport movement
+            self.locomotion = ( self.locomotion == 'teleport' ) ? 'smooth' : 'teleport';
+        }
+        
         function onConnected( event ){
             clearTimeout( timeoutId );
+            //Keep the XRInputSource so the thumbstick axes can be read each frame
+            this.userData.inputSource = event.data;
+            //The map goes on the left wrist with the stats panel behind it, the right hand points at it
+            if ( event.data.handedness == 'left' ){
+                self.minimap.attach( this.userData.grip );
+                self.statsPanel.attach( this.userData.grip );
+            }
+            //The lighting menu goes on the right wrist
+            if ( event.data.handedness == 'right' ) self.attachLightingMenu( this.userData.grip );
+        }
+        
+        function onDisconnected( event ){
+            this.userData.inputSource = undefined;
         }
         
         function connectionTimeout(){
             self.useGaze = true;
             self.gazeController = new GazeController( self.scene, self.dummyCam );
+            self.ui.setGaze( self.dummyCam );
         }
         
         this.controllers = this.buildControllers( this.dolly );
@@ -216,26 +832,287 @@ spongebobTexture.wrapT = THREE.ClampToEdgeWrapping;
         this.controllers.forEach( ( controller ) =>{
             controller.addEventListener( 'selectstart', onSelectStart );
             controller.addEventListener( 'selectend', onSelectEnd );
+            controller.addEventListener( 'squeezestart', onSqueezeStart );
             controller.addEventListener( 'connected', onConnected );
+            controller.addEventListener( 'disconnected', onDisconnected );
         });
         
+        this.teleport = new TeleportController( this.scene, this.camera );
+        this.turnController = new TurnController( this.dolly, this.camera, { mode: 'snap', snapAngle: 30 } );
+        
+        const button = { type: "button", width: 160, height: 46, fontSize: 26, backgroundColor: "#007bff", fontColor: "#fff", hover: "#0056b3", display: "none" };
+        
+        //The board grows to fit the info text, longer text than maxHeight scrolls
         const config = {
-            panelSize: { height: 0.5 },
-            height: 256,
-            name: { fontSize: 50, height: 70 },
-            info: { position:{ top: 70, backgroundColor: "#ccc", fontColor:"#000" } }
+            panelSize: { width: 1, height: 0.5 },
+            height: "auto",
+            pages: { info: [ "board" ], details: [ "detailsBoard" ] },
+            board: { type: "container", direction: "column", padding: 10, gap: 10, children: [ "header", "main", "tourProgress", "buttons" ] },
+            header: { type: "container", direction: "row", gap: 10, alignItems: "center", children: [ "name", "more" ] },
+            main: { type: "container", direction: "row", gap: 10, children: [ "info", "image" ] },
+            buttons: { type: "container", direction: "row", justifyContent: "space-between", children: [ "prev", "pause", "next", "takeMe", "startTour" ] },
+            name: { fontSize: 50, height: 70, flexGrow: 1 },
+            more: { ...button, width: 130, page: "details" },
+            info: { backgroundColor: "#ccc", fontColor:"#000", flexGrow: 1, minHeight: 110, maxHeight: 300, overflow: "scroll", markup: true },
+            image: { type: "img", width: 150, height: 150, display: "none" },
+            tourProgress: { type: "progress", height: 16, fillColor: "#007bff", trackColor: "#666", display: "none" },
+            prev: { ...button, onSelect: () => self.tour.previous() },
+            pause: { ...button, onSelect: () => {
+                self.tour.togglePause();
+                self.ui.updateElement( 'pause', self.text.get( ( self.tour.paused ) ? 'play' : 'pause' ) );
+            } },
+            next: { ...button, onSelect: () => self.tour.next() },
+            takeMe: { ...button, width: 300, fontSize: 22, onSelect: () => self.navigateTo( self.boardLink ) },
+            startTour: { ...button, width: 182, onSelect: () => self.startTour() },
+            detailsBoard: { type: "container", direction: "column", padding: 10, gap: 10, children: [ "detailsName", "details", "back" ] },
+            detailsName: { fontSize: 50, height: 70 },
+            details: { backgroundColor: "#ccc", fontColor:"#000", minHeight: 110, maxHeight: 300, overflow: "scroll", markup: true },
+            back: { ...button, display: "block", back: true, alignSelf: "start" },
+            renderer: this.renderer,
+            scene: this.scene
         }
         const content = {
             name: "name",
-            info: "info"
+            info: "info",
+            image: "",
+            tourProgress: 0,
+            prev: this.text.get( 'prev' ),
+            pause: this.text.get( 'pause' ),
+            next: this.text.get( 'next' ),
+            takeMe: "",
+            startTour: this.text.get( 'startTour' ),
+            more: this.text.get( 'more' ),
+            detailsName: "name",
+            details: "details",
+            back: this.text.get( 'back' )
         }
         
         this.ui = new CanvasUI( content, config );
+        this.ui.visible = false;
+        this.ui.onSelect = () => this.audio.playClick();
+        //The mouse and touch use the board outside VR
+        this.ui.initPointer( this.camera, this.renderer.domElement );
         this.scene.add( this.ui.mesh );
         
+        this.buildLightingMenu();
+        
+        this.statsPanel = new StatsPanel( this.renderer, { quality: this.quality } );
+        
+        //A tour started from the url before the board existed
+        if ( this.tour.active ) this.showTourBoard( this.tour.currentStop, this.tour.index );
+        
         this.renderer.setAnimationLoop( this.render.bind(this) );
     }
     
+    //Wrist panel with a button per lighting preset, the time of day controls and a settings page
+    buildLightingMenu(){
+        const presets = this.lighting.list;
+        const self = this;
+        const button = { type: "button", height: 50, fontSize: 28, backgroundColor: "#444", fontColor: "#fff", hover: "#0056b3" };
+        const label = { type: "text", height: 40, fontSize: 26, padding: 6, textAlign: "left" };
+        const widget = { fontSize: 26, fillColor: "#007bff", trackColor: "#666", hover: "#0056b3" };
+        
+        const config = {
+            panelSize: { width: 0.16, height: 0.16 },
+            width: 512,
+            height: "auto",
+            opacity: 1,
+            body: { fontSize: 30, backgroundColor: "#222", fontColor: "#fff" },
+            pages: { lighting: [ "lighting" ], settings: [ "settings" ], performance: [ "performance" ] },
+            lighting: { type: "container", padding: 10, gap: 10, children: [ "title" ] },
+            title: { type: "text", height: 50, fontSize: 34, textAlign: "center" },
+            time: { type: "container", direction: "row", gap: 10, children: [ "earlier", "timeOfDay", "later" ] },
+            earlier: { ...button, width: 90, onSelect: () => self.setTimeOfDay( self.timeOfDay.time - 1 ) },
+            timeOfDay: { ...button, flexGrow: 1, onSelect: () => self.setTimeOfDay() },
+            later: { ...button, width: 90, onSelect: () => self.setTimeOfDay( self.timeOfDay.time + 1 ) },
+            openSettings: { ...button, page: "settings" },
+            settings: { type: "container", padding: 10, gap: 10, children: [ "settingsTitle", "volumeLabel", "volume", "speedLabel", "speed", "turnLabel", "turning", "snapLabel", "snapAngle", "vignette", "autoWalk", "languageLabel", "language", "openPerformance", "back" ] },
+            settingsTitle: { type: "text", height: 50, fontSize: 34, textAlign: "center" },
+            volumeLabel: { ...label },
+            volume: { ...widget, type: "slider", height: 40, onChanged: value => {
+                self.audio.volume = value;
+                self.lightingMenu.updateElement( 'volumeLabel', self.text.get( 'volume', Math.round( value * 100 ) ) );
+            } },
+            speedLabel: { ...label },
+            speed: { ...widget, type: "slider", height: 40, min: 1, max: 4, step: 0.5, onChanged: value => {
+                self.moveSpeed = value;
+                self.lightingMenu.updateElement( 'speedLabel', self.text.get( 'moveSpeed', value ) );
+            } },
+            turnLabel: { ...label },
+            turning: { ...widget, type: "radio", direction: "row", height: 44, options: this.getTurningOptions(), onChanged: value => self.turnController.mode = value },
+            snapLabel: { ...label },
+            snapAngle: { ...widget, type: "dropdown", height: 44, backgroundColor: "#333", options: [ 15, 30, 45, 90 ].map( angle => ( { label: `${angle}°`, value: angle } ) ), onChanged: value => self.turnController.snapAngle = value },
+            vignette: { ...widget, type: "toggle", height: 44, label: this.text.get( 'vignette' ), onChanged: value => self.vignette.enabled = value },
+            autoWalk: { ...widget, type: "checkbox", height: 44, label: this.text.get( 'autoWalk' ), onChanged: value => self.autoWalk = value },
+            languageLabel: { ...label },
+            language: { ...widget, type: "dropdown", height: 44, backgroundColor: "#333", options: UIText.options, onChanged: value => self.setLanguage( value ) },
+            openPerformance: { ...button, page: "performance" },
+            back: { ...button, back: true },
+            //The optimizer parts, also on the C, L and M keys, so their cost can be compared in the stats panel in VR
+            performance: { type: "container", padding: 10, gap: 10, children: [ "performanceTitle", "culling", "lod", "merge", "performanceBack" ] },
+            performanceTitle: { type: "text", height: 50, fontSize: 34, textAlign: "center" },
+            culling: { ...widget, type: "toggle", height: 44, label: this.text.get( 'culling' ), onChanged: value => self.setOptimizerPart( 'culling', value ) },
+            lod: { ...widget, type: "toggle", height: 44, label: this.text.get( 'lod' ), onChanged: value => self.setOptimizerPart( 'lod', value ) },
+            merge: { ...widget, type: "toggle", height: 44, label: this.text.get( 'merge' ), onChanged: value => self.setOptimizerPart( 'merge', value ) },
+            performanceBack: { ...button, back: true },
+            renderer: this.renderer,
+            scene: this.scene
+        }
+        const content = {
+            title: this.text.get( 'lighting' ),
+            earlier: "◀",
+            timeOfDay: this.text.get( 'timeOfDay' ),
+            later: "▶",
+            openSettings: this.text.get( 'settings' ),
+            settingsTitle: this.text.get( 'settings' ),
+            volumeLabel: this.text.get( 'volume', Math.round( this.audio.volume * 100 ) ),
+            volume: this.audio.volume,
+            speedLabel: this.text.get( 'moveSpeed', this.moveSpeed ),
+            speed: this.moveSpeed,
+            turnLabel: this.text.get( 'turning' ),
+            turning: this.turnController.mode,
+            snapLabel: this.text.get( 'snapAngle' ),
+            snapAngle: this.turnController.snapAngle,
+            vignette: this.vignette.enabled,
+            autoWalk: this.autoWalk,
+            languageLabel: this.text.get( 'language' ),
+            language: this.text.language,
+            openPerformance: this.text.get( 'performance' ),
+            back: this.text.get( 'back' ),
+            performanceTitle: this.text.get( 'performance' ),
+            culling: ( this.optimizer !== undefined ) ? this.optimizer.culling : true,
+            lod: ( this.optimizer !== undefined ) ? this.optimizer.lod : true,
+            merge: ( this.optimizer !== undefined ) ? this.optimizer.merge : true,
+            performanceBack: this.text.get( 'back' )
+        };
+        
+        this.lightingButtons = {};
+        
+        presets.forEach( ( preset, i ) => {
+            const name = `preset${i}`;
+            config[ name ] = { ...button, onSelect: () => self.setLightingPreset( preset.id ) };
+            config.lighting.children.push( name );
+            content[ name ] = preset.name;
+            this.lightingButtons[ preset.id ] = name;
+        });
+        
+        config.lighting.children.push( "time", "openSettings" );
+        
+        this.lightingMenu = new CanvasUI( content, config );
+        this.lightingMenu.onSelect = () => this.audio.playClick();
+        this.lightingMenu.initPointer( this.camera, this.renderer.domElement );
+        this.lightingMenu.visible = false;
+        //Drawn after the comfort vignette, which is nearer the eye and ignores depth, so moving doesn't darken the menu
+        this.lightingMenu.mesh.renderOrder = 999;
+        
+        this.createMenuButton();
+        this.placeLightingMenu();
+        
+        //In VR the controller's connected event puts the menu on the wrist
+        this.renderer.xr.addEventListener( 'sessionstart', () => self.menuButton.style.display = 'none' );
+        this.renderer.xr.addEventListener( 'sessionend', () => {
+            self.menuButton.style.display = 'block';
+            self.placeLightingMenu();
+        });
+        
+        this.updateLightingMenu( this.lighting.preset );
+    }
+    
+    //Outside VR the menu is opened from a button on the page
+    createMenuButton(){
+        const button = document.createElement( 'button' );
+        button.style.cssText = 'position:fixed;top:8px;right:8px;padding:8px 16px;font:16px Helvetica,Arial,sans-serif;color:#fff;background:#007bff;border:none;border-radius:8px;cursor:pointer;z-index:999';
+        button.textContent = this.text.get( 'menu' );
+        document.body.appendChild( button );
+        this.menuButton = button;
+        
+        button.addEventListener( 'click', () => {
+            this.lightingMenu.visible = !this.lightingMenu.visible;
+            if ( this.lightingMenu.visible ){
+                //The page stays at the top level each time it opens
+                this.lightingMenu.setPage( 'lighting' );
+                //The menu moves with the view, so a locked pointer could only reach its middle
+                if ( document.pointerLockElement ) document.exitPointerLock();
+            }
+        });
+    }
+    
+    //In front of the camera outside VR, hidden until the menu button is pressed
+    placeLightingMenu(){
+        const mesh = this.lightingMenu.mesh;
+        if ( mesh.parent ) mesh.parent.remove( mesh );
+        this.camera.add( mesh );
+        mesh.rotation.set( 0, 0, 0 );
+        mesh.position.set( 0, 0, -0.3 );
+        this.lightingMenu.visible = false;
+    }
+    
+    //Lies on the back of the wrist, facing up towards the user
+    attachLightingMenu( grip ){
+        const mesh = this.lightingMenu.mesh;
+        if ( mesh.parent ) mesh.parent.remove( mesh );
+        grip.add( mesh );
+        mesh.rotation.set( -Math.PI/2, 0, 0 );
+        mesh.position.set( 0, 0.04, 0.05 );
+        this.lightingMenu.visible = true;
+    }
+    
+    //Highlights the button of the active preset or the time of day
+    updateLightingMenu( id = this.lighting.preset ){
+        if ( this.lightingMenu === undefined ) return;
+        const timeOfDay = this.timeOfDay.enabled;
+        Object.entries( this.lightingButtons ).forEach( ( [ preset, name ] ) => {
+            this.lightingMenu.updateConfig( name, 'backgroundColor', ( preset == id && !timeOfDay ) ? '#007bff' : '#444' );
+        });
+        this.lightingMenu.updateConfig( 'timeOfDay', 'backgroundColor', ( timeOfDay ) ? '#007bff' : '#444' );
+        this.lightingMenu.updateElement( 'timeOfDay', ( timeOfDay ) ? this.text.get( 'time', this.timeOfDay.label ) : this.text.get( 'timeOfDay' ) );
+    }
+    
+    setOptimizerPart( name, value ){
+        if ( this.optimizer !== undefined ) this.optimizer[ name ] = value;
+    }
+    
+    //Shows the optimizer parts that are on, they can also be changed from the keyboard or the query
+    updatePerformanceMenu(){
+        if ( this.lightingMenu === undefined || this.optimizer === undefined ) return;
+        [ 'culling', 'lod', 'merge' ].forEach( name => this.lightingMenu.updateElement( name, this.optimizer[ name ] ) );
+    }
+    
+    getTurningOptions(){
+        return [ { label: this.text.get( 'snap' ), value: "snap" }, { label: this.text.get( 'smooth' ), value: "smooth" } ];
+    }
+    
+    //Changes the words on the menu and board, hotspot text shown on the board changes the next time it is shown
+    setLanguage( code ){
+        this.text.language = code;
+        const text = this.text;
+        
+        const menu = this.lightingMenu;
+        menu.updateElement( 'title', text.get( 'lighting' ) );
+        menu.updateElement( 'openSettings', text.get( 'settings' ) );
+        menu.updateElement( 'settingsTitle', text.get( 'settings' ) );
+        menu.updateElement( 'volumeLabel', text.get( 'volume', Math.round( menu.getValue( 'volume' ) * 100 ) ) );
+        menu.updateElement( 'speedLabel', text.get( 'moveSpeed', menu.getValue( 'speed' ) ) );
+        menu.updateElement( 'turnLabel', text.get( 'turning' ) );
+        menu.updateConfig( 'turning', 'options', this.getTurningOptions() );
+        menu.updateElement( 'snapLabel', text.get( 'snapAngle' ) );
+        menu.updateConfig( 'vignette', 'label', text.get( 'vignette' ) );
+        menu.updateConfig( 'autoWalk', 'label', text.get( 'autoWalk' ) );
+        menu.updateElement( 'languageLabel', text.get( 'language' ) );
+        menu.updateElement( 'openPerformance', text.get( 'performance' ) );
+        menu.updateElement( 'back', text.get( 'back' ) );
+        menu.updateElement( 'performanceTitle', text.get( 'performance' ) );
+        [ 'culling', 'lod', 'merge' ].forEach( name => menu.updateConfig( name, 'label', text.get( name ) ) );
+        menu.updateElement( 'performanceBack', text.get( 'back' ) );
+        this.updateLightingMenu();
+        this.menuButton.textContent = text.get( 'menu' );
+        
+        const ui = this.ui;
+        [ 'prev', 'next', 'startTour', 'more', 'back' ].forEach( name => ui.updateElement( name, text.get( name ) ) );
+        ui.updateElement( 'pause', text.get( ( this.tour.paused ) ? 'play' : 'pause' ) );
+        if ( this.boardLink !== undefined ) ui.updateElement( 'takeMe', text.get( 'takeMe', this.boardLink.name ) );
+    }
+    
     buildControllers( parent = this.scene ){
         const controllerModelFactory = new XRControllerModelFactory();
 
@@ -256,26 +1133,31 @@ spongebobTexture.wrapT = THREE.ClampToEdgeWrapping;
             const grip = this.renderer.xr.getControllerGrip( i );
             grip.add( controllerModelFactory.createControllerModel( grip ) );
             parent.add( grip );
+            controller.userData.grip = grip;
         }
         
         return controllers;
     }
     
-    moveDolly(dt){
+    moveDolly(dt, direction = this.forward){
         if (this.proxy === undefined) return;
         
         const wallLimit = 1.3;
-        const speed = 2;
+        const distance = dt * this.moveSpeed * Math.min( direction.length(), 1 );
+        if (distance == 0) return;
+        
 		let pos = this.dolly.position.clone();
         pos.y += 1;
         
 		let dir = new THREE.Vector3();
         //Store original dolly rotation
         const quaternion = this.dolly.quaternion.clone();
-        //Get rotation for movement from the headset pose
-        this.dolly.quaternion.copy( this.dummyCam.getWorldQuaternion(this.workingQuaternion) );
-		this.dolly.getWorldDirection(dir);
-        dir.negate();
+        //Get rotation for movement from the heading of the headset pose, looking up or down must not tilt it
+        const yaw = this.workingEuler.setFromQuaternion( this.dummyCam.getWorldQuaternion(this.workingQuaternion) ).y;
+        this.dolly.quaternion.setFromEuler( this.workingEuler.set( 0, yaw, 0 ) );
+        //direction is in dolly space, -z is forward
+        const axis = direction.clone().normalize();
+		dir.copy( axis ).applyQuaternion( this.dolly.quaternion );
 		this.raycaster.set(pos, dir);
 		
         let blocked = false;
@@ -286,7 +1168,7 @@ spongebobTexture.wrapT = THREE.ClampToEdgeWrapping;
         }
 		
 		if (!blocked){
-            this.dolly.translateZ(-dt*speed);
+            this.dolly.translateOnAxis(axis, distance);
             pos = this.dolly.getWorldPosition( this.origin );
 		}
 		
@@ -326,64 +1208,259 @@ spongebobTexture.wrapT = THREE.ClampToEdgeWrapping;
         this.dolly.quaternion.copy( quaternion );
 	}
 		
+    set locomotion( value ){
+        if ( value !== 'smooth' && value !== 'teleport' ){
+            console.warn( `App.locomotion: unknown mode ${value}, use smooth or teleport` );
+            return;
+        }
+        this._locomotion = value;
+        if ( value == 'smooth' && this.teleport ) this.teleport.hide();
+    }
+    
+    get locomotion(){
+        return this._locomotion;
+    }
+    
+    updateTeleport(){
+        const controller = this.controllers.find( controller => controller.userData.selectPressed );
+        if ( controller === undefined ){
+            this.teleport.hide();
+        }else{
+            this.teleport.update( controller, this.proxy );
+        }
+    }
+		
     get selectPressed(){
         return ( this.controllers !== undefined && (this.controllers[0].userData.selectPressed || this.controllers[1].userData.selectPressed) );    
     }
     
-    showInfoboard( name, info, pos ){
+    showInfoboard( hotspot, pos ){
         if (this.ui === undefined ) return;
-        this.ui.position.copy(pos).add( this.workingVec3.set( 0, 1.3, 0 ) );
-        const camPos = this.dummyCam.getWorldPosition( this.workingVec3 );
-        this.ui.updateElement( 'name', info.name );
-        this.ui.updateElement( 'info', info.info );
+        const board = hotspot.board;
+        this.ui.position.copy(pos);
+        
+        let info = hotspot.info;
+        if (hotspot.links.length>0){
+            const names = hotspot.links.map( id => this.boardData.get(id).name );
+            info = `${info}\n*${this.text.get( 'seeAlso', names.join( ', ' ) )}*`;
+        }
+        
+        this.ui.setPage( 'info' );
+        this.ui.updateElement( 'name', hotspot.name );
+        this.ui.updateElement( 'info', info );
+        this.ui.updateConfig( 'info', 'scrollY', 0 );
+        if (hotspot.details !== undefined){
+            this.ui.updateConfig( 'more', 'display', 'block' );
+            this.ui.updateElement( 'detailsName', hotspot.name );
+            this.ui.updateElement( 'details', hotspot.details );
+            this.ui.updateConfig( 'details', 'scrollY', 0 );
+        }else{
+            this.ui.updateConfig( 'more', 'display', 'none' );
+        }
+        if (hotspot.image !== undefined){
+            //Clear the cached image so CanvasUI loads the new one
+            this.ui.updateConfig( 'image', 'img', undefined );
+            this.ui.updateConfig( 'image', 'display', 'block' );
+            this.ui.updateElement( 'image', hotspot.image );
+        }else{
+            this.ui.updateConfig( 'image', 'display', 'none' );
+        }
+        if ( !this.tour.active ) this.setBoardButtons( 'info', this.boardData.get( hotspot.links[0] ) );
         this.ui.update();
-        this.ui.lookAt( camPos )
+        
+        const camPos = this.dummyCam.getWorldPosition( this.workingVec3 );
+        
+        switch(board.facing){
+            case 'fixed':
+                this.ui.mesh.rotation.set( ...board.rotation.map( deg => THREE.MathUtils.degToRad(deg) ) );
+                break;
+            case 'yaw':
+                //Stay upright, only turn about the vertical axis
+                camPos.y = pos.y;
+                this.ui.lookAt( camPos );
+                break;
+            default:
+                this.ui.lookAt( camPos );
+                break;
+        }
+        
         this.ui.visible = true;
-        this.boardShown = name;
+        this.boardShown = hotspot.id;
+    }
+
+    //mode is none, info for the start tour and take me to buttons or tour for the tour controls
+    setBoardButtons( mode, link ){
+        if (this.ui === undefined) return;
+        const tour = ( mode == 'tour' ) ? 'block' : 'none';
+        const start = ( mode == 'info' && this.boardData !== undefined && Object.keys( this.boardData.tours ).length>0 ) ? 'block' : 'none';
+        const takeMe = ( mode == 'info' && link !== undefined ) ? 'block' : 'none';
+        this.ui.updateConfig( 'prev', 'display', tour );
+        this.ui.updateConfig( 'pause', 'display', tour );
+        this.ui.updateConfig( 'next', 'display', tour );
+        this.ui.updateConfig( 'startTour', 'display', start );
+        this.ui.updateConfig( 'takeMe', 'display', takeMe );
+        this.boardLink = link;
+        this.ui.updateConfig( 'tourProgress', 'display', tour );
+        if (link !== undefined) this.ui.updateElement( 'takeMe', this.text.get( 'takeMe', link.name ) );
+        if (mode == 'tour') this.ui.updateElement( 'pause', this.text.get( ( this.tour.paused ) ? 'play' : 'pause' ) );
+    }
+    
+    showTourBoard( stop, index ){
+        if (this.ui === undefined) return;
+        
+        const hotspot = stop.hotspot;
+        
+        this.ui.updateElement( 'tourProgress', ( index + 1 ) / this.tour.tour.stops.length );
+        
+        if ( this.tour.state == TourController.States.DWELLING ){
+            this.showInfoboard( hotspot, this.boardData.getBoardPosition( hotspot ) );
+        }else{
+            //On the move the board floats in front of the user
+            const camPos = this.dummyCam.getWorldPosition( new THREE.Vector3() );
+            const dir = this.dummyCam.getWorldDirection( new THREE.Vector3() );
+            //Object3D.getWorldDirection returns +z, the camera looks down -z
+            dir.negate();
+            dir.y = 0;
+            dir.normalize();
+            this.ui.position.copy( camPos ).addScaledVector( dir, 1.5 );
+            this.ui.position.y -= 0.3;
+            //Keep the board at the same place relative to the dolly while walking
+            this.dolly.updateMatrixWorld();
+            this.tourBoardOffset = this.dolly.worldToLocal( this.ui.position.clone() );
+            this.ui.updateElement( 'name', this.tour.tour.name );
+            this.ui.updateElement( 'info', this.text.get( 'stop', index + 1, this.tour.tour.stops.length, hotspot.name ) );
+            this.ui.setPage( 'info' );
+            this.ui.updateConfig( 'info', 'scrollY', 0 );
+            this.ui.updateConfig( 'image', 'display', 'none' );
+            this.ui.updateConfig( 'more', 'display', 'none' );
+            this.ui.lookAt( camPos );
+            this.ui.visible = true;
+            this.boardShown = '';
+        }
+        
+        this.setBoardButtons( 'tour' );
+    }
+    
+    updateInfoboard(){
+        if (this.boardData === undefined || this.tour.active) return;
+        
+        const dollyPos = this.dolly.getWorldPosition( new THREE.Vector3() );
+        let boardFound = false;
+        this.boardData.list.forEach( hotspot => {
+            if (hotspot.object !== undefined){
+                const pos = hotspot.object.getWorldPosition( new THREE.Vector3() );
+                if (dollyPos.distanceTo( pos ) < hotspot.radius){
+                    boardFound = true;
+                    if ( this.boardShown !== hotspot.id) this.showInfoboard( hotspot, this.boardData.getBoardPosition( hotspot, pos ) );
+                }
+            }
+        });
+        if (!boardFound){
+            this.boardShown = "";
+            this.ui.visible = false;
+        }
     }
 
 	render( timestamp, frame ){
         const dt = this.clock.getDelta();
         
+        //A running tour does the walking, the user can still look and turn, a blocked tour leaves the walking to the user
+        const touring = this.tour.active && !this.tour.paused && !this.tour.blocked;
+        //Smooth movement in VR, the comfort vignette shows while it lasts
+        let moving = false;
+        
         if (this.renderer.xr.isPresenting){
             let moveGaze = false;
         
             if ( this.useGaze && this.gazeController!==undefined){
                 this.gazeController.update();
-                moveGaze = (this.gazeController.mode == GazeController.Modes.MOVE);
+                //Looking at a board button must not walk the user towards it
+                moveGaze = (this.gazeController.mode == GazeController.Modes.MOVE && this.ui.selectedElements[0] === undefined);
             }
         
-            if (this.selectPressed || moveGaze){
+            if ( !this.teleport.busy ) this.turnController.update(dt, this.controllers);
+            
+            if ( this.locomotion == 'teleport' && !touring ) this.updateTeleport();
+            
+            if ( this.teleport.busy ){
+                this.teleport.updateFade(dt);
+                this.updateInfoboard();
+            }
+            
+            if (((this.selectPressed && this.locomotion == 'smooth') || moveGaze) && !touring){
                 this.moveDolly(dt);
-                if (this.boardData){
-                    const scene = this.scene;
-                    const dollyPos = this.dolly.getWorldPosition( new THREE.Vector3() );
-                    let boardFound = false;
-                    Object.entries(this.boardData).forEach(([name, info]) => {
-                        const obj = scene.getObjectByName( name );
-                        if (obj !== undefined){
-                            const pos = obj.getWorldPosition( new THREE.Vector3() );
-                            if (dollyPos.distanceTo( pos ) < 3){
-                                boardFound = true;
-                                if ( this.boardShown !== name) this.showInfoboard( name, info, pos );
-                            }
-                        }
-                    });
-                    if (!boardFound){
-                        this.boardShown = "";
-                        this.ui.visible = false;
-                    }
-                }
+                this.updateInfoboard();
+                moving = true;
+            }
+            
+            if ( this.turnController.turning || ( touring && this.tour.state == TourController.States.MOVING ) ) moving = true;
+        }else{
+            this.desktopControls.update(dt);
+            if (this.desktopControls.moving && !touring){
+                this.moveDolly(dt, this.desktopControls.direction);
+                this.updateInfoboard();
+            }
+        }
+        
+        if ( this.tour.active ){
+            this.tour.update(dt, this.proxy);
+            if ( this.tour.state == TourController.States.MOVING && this.tourBoardOffset !== undefined ){
+                this.dolly.updateMatrixWorld();
+                this.ui.position.copy( this.tourBoardOffset ).applyMatrix4( this.dolly.matrixWorld );
             }
         }
         
+        this.vignette.update( dt, moving );
+        
+        if ( this.ui.visible ) this.ui.update();
+        if ( this.lightingMenu.visible ) this.lightingMenu.update();
+        if ( this.placeholderSign !== undefined ) this.placeholderSign.update();
+        
+        if ( this.media !== undefined ) this.media.update( dt, this.dolly.position );
+        
+        this.timeOfDay.update( this.dolly.position );
+        this.lighting.update( dt );
+        
+        if ( this.reveal !== undefined ) this.updateReveal();
+        if ( this.optimizer !== undefined ) this.optimizer.update( this.camera, this.renderer );
+        
+        this.quality.update( dt );
+        
+        if ( this.renderer.xr.isPresenting ) this.statsPanel.checkCombo( this.controllers );
+        this.statsPanel.update( dt );
+        
+        this.audio.update( this.dolly.position );
+        
+        this.minimap.update( dt, this.camera );
+        
+        this.updateNavigation();
+        this.routeGuide.update( dt );
+        
         if ( this.immersive != this.renderer.xr.isPresenting){
             this.resize();
             this.immersive = this.renderer.xr.isPresenting;
+            this.desktopControls.enabled = !this.immersive;
+            this.desktopControls.visible = !this.immersive;
+            this.minimap.overlayVisible = !this.immersive;
+            if (!this.immersive){
+                //The headset pose is left on the camera when the session ends
+                this.camera.position.set( 0, 1.6, 0 );
+                this.desktopControls.reset();
+                this.teleport.hide();
+            }
         }
         
         this.stats.update();
 		this.renderer.render(this.scene, this.camera);
+        
+        //Once a second like the frame rate
+        this.statsTime += dt;
+        if ( this.statsTime > 1 ){
+            this.statsTime = 0;
+            const info = this.renderer.info.render;
+            this.callsPanel.update( info.calls, 1000 );
+            this.trianglesPanel.update( info.triangles / 1000, 2000 );
+        }
 	}
 }
 
@@ -0,0 +1,308 @@
+import { AudioListener,
+        Audio,
+        AudioLoader,
+        PositionalAudio,
+        Box3,
+        Vector3
+       } from './three/three.module.js';
+
+/*Sound for the app, configured by the audio section of the hotspot data file
+audio: {
+    crossfade: seconds to fade between room ambiences
+    click: url of the CanvasUI button sound, a short tone is synthesised if missing
+    rooms: { id: { min: [x, y, z], max: [x, y, z], ambience: url, volume: 0-1 } }
+    hotspots: { hotspot id: { url, volume: 0-1, refDistance: metres, rolloff: factor } }
+}
+Browsers only start an AudioContext after a user gesture, nothing plays until unlock
+is called from one, the VR session start or a click on the page.
+Tour narration is a non-positional sound on the same listener, so the volume applies to it.
+*/
+class AudioManager{
+    //manager is an optional THREE.LoadingManager for the sound files
+    constructor( camera, manager ){
+        if ( camera === undefined ){
+            console.warn( 'AudioManager needs a THREE.Camera instance passing to the constructor');
+            return;
+        }
+
+        this.listener = new AudioListener();
+        camera.add( this.listener );
+
+        this.loader = new AudioLoader( manager );
+        this.buffers = {};
+
+        this.crossfade = 2;
+        this.rooms = [];
+        this.sounds = [];
+        this.room = undefined;
+        this.unlocked = false;
+        this.narrationId = 0;
+    }
+
+    get context(){
+        return this.listener.context;
+    }
+
+    unlock(){
+        if ( this.unlocked ) return;
+
+        const self = this;
+
+        this.context.resume().then( () => {
+            self.unlocked = true;
+            self.sounds.forEach( sound => self.play( sound ) );
+            self.rooms.forEach( room => self.play( room.sound ) );
+        }).catch( err => console.warn( `AudioManager: could not start audio ${err.message}` ) );
+    }
+
+    //Unlocks on the first click, touch or key press on the page
+    unlockOnGesture(){
+        const self = this;
+        const events = [ 'click', 'touchend', 'keydown' ];
+
+        function onGesture(){
+            self.unlock();
+            events.forEach( event => document.removeEventListener( event, onGesture ) );
+        }
+
+        events.forEach( event => document.addEventListener( event, onGesture ) );
+    }
+
+    loadBuffer( url ){
+        if ( this.buffers[ url ] === undefined ){
+            this.buffers[ url ] = new Promise( ( resolve, reject ) => {
+                this.loader.load( url, resolve, undefined, reject );
+            });
+        }
+        return this.buffers[ url ];
+    }
+
+    play( sound ){
+        if ( sound === undefined || !this.unlocked || sound.buffer === null || sound.isPlaying ) return;
+        sound.play();
+    }
+
+    //config is the audio section of the hotspot data, hotspots need resolving against the model first
+    //Calling it again replaces the sounds of the last call
+    configure( config, hotspots ){
+        this.clear();
+
+        if ( config === undefined ) return;
+
+        const self = this;
+
+        if ( typeof config.crossfade === 'number' ) this.crossfade = config.crossfade;
+        this.clickUrl = config.click;
+        if ( this.clickUrl !== undefined ) this.loadBuffer( this.clickUrl ).catch( () => {
+            console.warn( `AudioManager: could not load click sound ${self.clickUrl}, using a tone` );
+            self.clickUrl = undefined;
+        });
+
+        if ( config.rooms !== undefined ){
+            Object.entries( config.rooms ).forEach( ( [ id, value ] ) => {
+                if ( !Array.isArray( value.min ) || !Array.isArray( value.max ) ){
+                    console.warn( `AudioManager: room ${id} needs min and max corners` );
+                    return;
+                }
+                const room = {
+                    id,
+                    bounds: new Box3( new Vector3().fromArray( value.min ), new Vector3().fromArray( value.max ) ),
+                    volume: ( value.volume !== undefined ) ? value.volume : 0.5
+                };
+                if ( value.ambience !== undefined ){
+                    room.sound = new Audio( this.listener );
+                    room.sound.setLoop( true );
+                    //Silent until the dolly walks into the room
+                    room.sound.setVolume( 0 );
+                    this.loadBuffer( value.ambience ).then( buffer => {
+                        //configure may have been called again while it loaded
+                        if ( !self.rooms.includes( room ) ) return;
+                        room.sound.setBuffer( buffer );
+                        self.play( room.sound );
+                    }).catch( () => console.warn( `AudioManager: could not load ambience ${value.ambience} for room ${id}` ) );
+                }
+                this.rooms.push( room );
+            });
+        }
+
+        if ( config.hotspots !== undefined && hotspots !== undefined ){
+            Object.entries( config.hotspots ).forEach( ( [ id, value ] ) => {
+                const hotspot = hotspots.get( id );
+                if ( hotspot === undefined || hotspot.object === undefined ){
+                    console.warn( `AudioManager: hotspot ${id} not found, no sound attached` );
+                    return;
+                }
+                if ( typeof value.url !== 'string' ){
+                    console.warn( `AudioManager: hotspot ${id} sound needs a url` );
+                    return;
+                }
+                const sound = new PositionalAudio( this.listener );
+                sound.setLoop( ( value.loop !== undefined ) ? value.loop : true );
+                sound.setVolume( ( value.volume !== undefined ) ? value.volume : 1 );
+                sound.setRefDistance( ( value.refDistance !== undefined ) ? value.refDistance : 2 );
+                sound.setRolloffFactor( ( value.rolloff !== undefined ) ? value.rolloff : 1 );
+                hotspot.object.add( sound );
+                this.sounds.push( sound );
+                this.loadBuffer( value.url ).then( buffer => {
+                    if ( !self.sounds.includes( sound ) ) return;
+                    sound.setBuffer( buffer );
+                    self.play( sound );
+                }).catch( () => console.warn( `AudioManager: could not load ${value.url} for hotspot ${id}` ) );
+            });
+        }
+    }
+
+    //Stops a sound and disconnects it from the listener
+    release( sound ){
+        if ( sound.isPlaying ){
+            sound.stop();
+            sound.disconnect();
+        }
+        sound.gain.disconnect();
+        if ( sound.parent ) sound.parent.remove( sound );
+    }
+
+    //Stops the room and hotspot sounds and disconnects them from the listener
+    clear(){
+        this.rooms.forEach( room => {
+            if ( room.sound !== undefined ) this.release( room.sound );
+        });
+        this.sounds.forEach( sound => this.release( sound ) );
+
+        this.rooms = [];
+        this.sounds = [];
+        this.room = undefined;
+    }
+
+    set volume( value ){
+        this.listener.setMasterVolume( value );
+    }
+
+    get volume(){
+        return this.listener.getMasterVolume();
+    }
+
+    //Plays a narration url, replacing any narration already playing
+    //onEnd is called when it finishes or cannot be played, not when it is stopped
+    narrate( url, onEnd ){
+        this.stopNarration();
+
+        const self = this;
+        const id = this.narrationId;
+        const sound = new Audio( this.listener );
+        sound.onEnded = () => {
+            sound.isPlaying = false;
+            if ( self.narration === sound ) self.endNarration();
+        };
+        this.narration = sound;
+        this.narrationEnd = onEnd;
+        this.narrationPaused = false;
+
+        this.loadBuffer( url ).then( buffer => {
+            //Stopped or replaced while it loaded
+            if ( id !== self.narrationId ) return;
+            sound.setBuffer( buffer );
+            if ( !self.narrationPaused ) self.resumeNarration();
+        }).catch( () => {
+            if ( id !== self.narrationId ) return;
+            console.warn( `AudioManager: could not load narration ${url}` );
+            self.endNarration();
+        });
+    }
+
+    get narrating(){
+        return ( this.narration !== undefined );
+    }
+
+    pauseNarration(){
+        if ( this.narration === undefined ) return;
+        this.narrationPaused = true;
+        if ( this.narration.isPlaying ){
+            this.narration.pause();
+            this.narration.disconnect();
+        }
+    }
+
+    resumeNarration(){
+        const sound = this.narration;
+        if ( sound === undefined ) return;
+        this.narrationPaused = false;
+        //Still loading, it starts when it arrives
+        if ( sound.buffer === null || sound.isPlaying ) return;
+        this.play( sound );
+        if ( !sound.isPlaying ){
+            console.warn( 'AudioManager: narration skipped, the audio has not been unlocked' );
+            this.endNarration();
+        }
+    }
+
+    stopNarration(){
+        this.narrationId++;
+        if ( this.narration === undefined ) return;
+        this.release( this.narration );
+        this.narration = undefined;
+        this.narrationEnd = undefined;
+    }
+
+    endNarration(){
+        const onEnd = this.narrationEnd;
+        this.stopNarration();
+        if ( onEnd ) onEnd();
+    }
+
+    playClick(){
+        if ( !this.unlocked ) return;
+
+        const self = this;
+
+        if ( this.clickUrl !== undefined ){
+            this.loadBuffer( this.clickUrl ).then( buffer => {
+                //One sound is replayed, each Audio keeps its own nodes on the listener
+                if ( self.clickSound === undefined ) self.clickSound = new Audio( self.listener );
+                const sound = self.clickSound;
+                if ( sound.buffer !== buffer ) sound.setBuffer( buffer );
+                if ( sound.isPlaying ){
+                    sound.stop();
+                    sound.disconnect();
+                }
+                sound.play();
+            }).catch( () => {} );
+            return;
+        }
+
+        //Short synthesised tick routed through the listener so the master volume applies
+        const context = this.context;
+        const oscillator = context.createOscillator();
+        const gain = context.createGain();
+        const now = context.currentTime;
+        oscillator.frequency.value = 880;
+        gain.gain.setValueAtTime( 0.2, now );
+        gain.gain.exponentialRampToValueAtTime( 0.001, now + 0.08 );
+        oscillator.connect( gain );
+        gain.connect( this.listener.getInput() );
+        oscillator.start( now );
+        oscillator.stop( now + 0.1 );
+    }
+
+    //Crossfades the room ambiences as the position moves between rooms
+    update( position ){
+        if ( !this.unlocked || this.rooms.length == 0 ) return;
+
+        const room = this.rooms.find( room => room.bounds.containsPoint( position ) );
+        if ( room === this.room ) return;
+
+        this.room = room;
+
+        const now = this.context.currentTime;
+        //setTargetAtTime approaches the target exponentially, a third of the fade time gets within 5%
+        const timeConstant = Math.max( this.crossfade, 0.01 ) / 3;
+
+        this.rooms.forEach( ( other ) => {
+            if ( other.sound === undefined ) return;
+            const target = ( other === room ) ? other.volume : 0;
+            other.sound.gain.gain.setTargetAtTime( target, now, timeConstant );
+        });
+    }
+}
+
+export { AudioManager };
@@ -6,31 +6,79 @@ import { Mesh,
         Raycaster, 
         Scene, 
         WebGLRenderer, 
+        Vector2, 
         Vector3, 
         Quaternion,
         IcosahedronBufferGeometry 
        } from './three/three.module.js';
 import { CanvasKeyboard } from './CanvasKeyboard.js';
+import { RichText } from './RichText.js';
 
 /*An element is defined by 
-type: text | button | image | shape
+type: text | button | image | shape | container
 hover: hex
 active: hex
 position: x, y, left, right, top, bottom
-width: pixels, will inherit from body if missing
-height: pixels, will inherit from body if missing
+width: pixels or auto to fit the content, will inherit from body if missing
+height: pixels or auto to fit the content, will inherit from body if missing
+minWidth, maxWidth, minHeight, maxHeight: pixels, limits for sizes set by a container
 overflow: fit | scroll | hidden
 textAlign: center | left | right
 fontSize: pixels
 fontColor: hex
 fontFamily: string
+markup: true to format the text with headings, bullets, bold, italic, colours and icons, see RichText.js
 padding: pixels
 backgroundColor: hex
 borderRadius: pixels
 clipPath: svg path
 border: width color style
+
+A container places the elements named in its children, their positions are ignored
+children: [ element names ]
+direction: column | row
+gap: pixels between children
+padding: pixels, 0 if missing
+justifyContent: start | center | end | space-between | space-around, along the direction
+alignItems: stretch | start | center | end, across the direction
+A child can have
+flexGrow: share of the spare space it takes, 0 if missing
+flexShrink: share of a shortfall it gives up, 1 if missing, children with a fixed size never shrink
+alignSelf: overrides the container's alignItems
+Children of a row or column with no size along the direction fit their content and
+stretched children with no size across it fill the container. A container that isn't a child
+is placed at its left and top, with no width or height it reaches right and bottom from the
+panel edges. Set the panel height to auto and it grows to fit these containers.
+Layout is worked out again when an element's content or config changes.
+
+Pages show different sets of elements on one panel
+pages: { page name: [ element names ] }, elements on no page show on every page, the children of a
+container listed on a page belong to it too
+page: name of the first page, the first in pages if missing
+transition: slide | fade | none, how pages change
+transitionTime: seconds
+An element with page: name pushes that page when it is selected, one with back: true goes back
+to the previous page and is hidden on the first. push, pop and setPage change pages from code.
+
+Widgets keep their value in content, updateElement sets it and onChanged( value ) is called when it is changed on the panel
+slider: min, max, step, 0 to 1 and no step if missing, the thumb is dragged while select is held
+toggle: true or false, label: text beside the switch
+checkbox: true or false, label: text beside the box
+radio: options: [ text or { label, value } ], direction: column | row, the value is the option's value
+dropdown: options as for radio, the list opens below the element when it is selected
+progress: min, max as for slider, showValue: true to show the percentage
+fillColor, trackColor, thumbColor: hex colours of the parts, hover colours the thumb or the hovered option
+
+Outside XR call initPointer( camera ) and the mouse or a touch selects, hovers, drags and scrolls as a
+controller does, the wheel scrolls overflow: scroll elements and input-text takes the physical keyboard
 */
 class CanvasUI{
+    static Widgets = [ 'slider', 'toggle', 'checkbox', 'radio', 'dropdown', 'progress' ];
+    //Widgets that change when they are selected, sliders are dragged
+    static Clickable = [ 'toggle', 'checkbox', 'radio', 'dropdown' ];
+    //Slot in selectedElements and the other per pointer arrays used by the mouse or touch, after the two controllers
+    static PointerIndex = 2;
+    
     constructor(content, config){
         const defaultconfig = {
             panelSize: { width: 1.2, height: 0.7 },
@@ -91,6 +139,9 @@ class CanvasUI{
         
         if (this.config.width === undefined) this.config.width = 512;
         if (this.config.height === undefined) this.config.height = 512;
+        //The canvas starts at 512 and is resized by the layout
+        this.autoHeight = ( this.config.height === 'auto' );
+        if (this.autoHeight) this.config.height = 512;
         if (this.config.body === undefined) this.config.body = {fontFamily:'Arial', size:30, padding:20, backgroundColor: '#000', fontColor:'#fff', borderRadius: 6};
         
         const body = this.config.body;
@@ -102,7 +153,7 @@ class CanvasUI{
         if (body.fontColor === undefined) body.fontColor = '#fff';
         
         Object.entries( this.config ).forEach( ( [ name, value]) => {
-            if ( typeof(value) === 'object' && name !== 'panelSize' && !(value instanceof WebGLRenderer) && !(value instanceof Scene) ){
+            if ( typeof(value) === 'object' && name !== 'panelSize' && name !== 'pages' && !(value instanceof WebGLRenderer) && !(value instanceof Scene) ){
                 const pos = (value.position!==undefined) ? value.position : { x: 0, y: 0 };
                 
                 if (pos.left !== undefined && pos.x === undefined ) pos.x = pos.left;
@@ -120,6 +171,14 @@ class CanvasUI{
                 value.position = pos;
                 
                 if (value.type === undefined) value.type = 'text';
+                
+                if (value.type === 'container'){
+                    if (!Array.isArray(value.children)) value.children = [];
+                    value.children = value.children.filter( child => {
+                        if (this.config[child] === undefined) console.warn( `CanvasUI: container ${name} child ${child} not found` );
+                        return (this.config[child] !== undefined);
+                    });
+                }
             }
         })
         
@@ -156,7 +215,7 @@ class CanvasUI{
             this.config.body.type = "text";
         }else{
             this.content = content;
-            const btns = Object.values(config).filter( (value) => { return value.type === "button" || value.overflow === "scroll" || value.type === "input-text" });
+            const btns = Object.values(config).filter( (value) => { return value.type === "button" || value.overflow === "scroll" || value.type === "input-text" || ( CanvasUI.Widgets.includes( value.type ) && value.type !== "progress" ) });
             if (btns.length>0){
                 if ( config === undefined || config.renderer === undefined ){
                     console.warn("CanvasUI: button, scroll or input-text in the config but no renderer")
@@ -171,11 +230,137 @@ class CanvasUI{
         this.selectPressed = [ false, false ];
         this.scrollData = [ undefined, undefined ];
         this.intersects = [ undefined, undefined ];
+        //Canvas positions of the controllers on the panel and the sliders they hold
+        this.pointers = [ undefined, undefined ];
+        this.dragging = [ undefined, undefined ];
         
         this.needsUpdate = true;
+        this.needsLayout = true;
+        
+        this.initPages();
         
         this.update();
 	}
+    
+    //Works out which elements belong to each page, containers bring their children with them
+    initPages(){
+        this.pageElements = {};
+        this.pageStack = [];
+        
+        const pages = this.config.pages;
+        if ( pages === undefined ) return;
+        
+        const add = ( set, name ) => {
+            const elm = this.config[name];
+            if ( elm === undefined ){
+                console.warn( `CanvasUI: page element ${name} not found` );
+                return;
+            }
+            set.add( name );
+            if ( elm.type === 'container' ) elm.children.forEach( child => add( set, child ) );
+        };
+        
+        Object.entries( pages ).forEach( ( [ page, names ] ) => {
+            const set = new Set();
+            names.forEach( name => add( set, name ) );
+            this.pageElements[page] = set;
+        });
+        
+        const start = ( this.config.page !== undefined ) ? this.config.page : Object.keys( pages )[0];
+        if ( this.pageElements[start] === undefined ){
+            console.warn( `CanvasUI: no page called ${start}` );
+        }else{
+            this.pageStack.push( start );
+        }
+    }
+    
+    get page(){
+        return this.pageStack[ this.pageStack.length - 1 ];
+    }
+    
+    get canGoBack(){
+        return ( this.pageStack.length > 1 );
+    }
+    
+    //Shows a page, pop goes back to the one showing now
+    push( page ){
+        if ( this.pageElements[page] === undefined ){
+            console.warn( `CanvasUI.push: no page called ${page}` );
+            return;
+        }
+        if ( page === this.page ) return;
+        const from = this.page;
+        this.pageStack.push( page );
+        this.changePage( from, 1 );
+    }
+    
+    //Goes back to the previous page, returns false on the first page
+    pop(){
+        if ( !this.canGoBack ) return false;
+        const from = this.pageStack.pop();
+        this.changePage( from, -1 );
+        return true;
+    }
+    
+    //Shows a page and forgets the pages before it
+    setPage( page, animate = false ){
+        if ( this.pageElements[page] === undefined ){
+            console.warn( `CanvasUI.setPage: no page called ${page}` );
+            return;
+        }
+        const from = this.page;
+        this.pageStack = [ page ];
+        if ( from !== page ) this.changePage( from, -1, animate );
+    }
+    
+    //direction is 1 moving forward and -1 going back
+    changePage( from, direction, animate = true ){
+        const type = ( this.config.transition !== undefined ) ? this.config.transition : 'slide';
+        const duration = ( this.config.transitionTime !== undefined ) ? this.config.transitionTime : 0.3;
+        
+        this.transition = ( animate && type !== 'none' && duration > 0 && from !== undefined ) ? { from, direction, type, duration, start: performance.now(), t: 0 } : undefined;
+        
+        //Nothing on the old page stays selected
+        this.selectedElements = [ undefined, undefined ];
+        this.scrollData = [ undefined, undefined ];
+        this.dragging = [ undefined, undefined ];
+        this.dropdown = undefined;
+        this.focused = undefined;
+        if ( this.keyboard && this.keyboard.visible ){
+            this.keyboard.linkedUI = undefined;
+            this.keyboard.visible = false;
+        }
+        
+        this.needsUpdate = true;
+        this.needsLayout = true;
+        
+        if ( this.onPageChanged ) this.onPageChanged( this.page, from );
+    }
+    
+    /*Where an element is drawn on the pages showing, undefined if it isn't showing
+    returns { x, alpha }, during a transition the old and new pages are offset or faded*/
+    getPageState( name ){
+        const elm = this.config[name];
+        if ( elm !== undefined && elm.back && !this.canGoBack ) return;
+        
+        const current = this.pageElements[ this.page ];
+        const shared = !Object.values( this.pageElements ).some( set => set.has( name ) );
+        if ( current === undefined || shared ) return { x: 0, alpha: 1 };
+        
+        const transition = this.transition;
+        const incoming = current.has( name );
+        
+        if ( transition === undefined ) return ( incoming ) ? { x: 0, alpha: 1 } : undefined;
+        if ( !incoming && !this.pageElements[ transition.from ].has( name ) ) return;
+        
+        //Smoothstep eases the movement in and out
+        const t = transition.t * transition.t * ( 3 - 2 * transition.t );
+        
+        if ( transition.type == 'fade' ) return { x: 0, alpha: ( incoming ) ? t : 1 - t };
+        
+        const width = this.config.width * transition.direction;
+        return { x: ( incoming ) ? ( 1 - t ) * width : -t * width, alpha: 1 };
+    }
 	
     getIntersectY( index ){
         const height = this.config.height || 512;
@@ -193,52 +378,15 @@ class CanvasUI{
         const self = this;
         
         function onSelect( event ) {     
-            const index = (event.target === self.controller) ? 0 : 1;
-            const elm = self.selectedElements[index];
-            if ( elm !== undefined ){
-                if ( elm.type == "button"){
-                    self.select( index );
-                }else if ( elm.type == "input-text"){
-                    if ( self.keyboard ){
-                        if ( self.keyboard.visible ){
-                            self.keyboard.linkedUI = undefined;
-                            self.keyboard.linkedText = undefined;
-                            self.keyboard.linkedElement = undefined;
-                            self.keyboard.visible = false;
-                        }else{
-                            self.keyboard.linkedUI = self;
-                            let name;
-                            Object.entries( self.config ).forEach( ([prop, value]) => {
-                                if ( value == elm ) name = prop;
-                            });
-                            const y = (0.5-((elm.position.y + elm.height + self.config.body.padding )/self.config.height)) * self.panelSize.height;
-                            const h = Math.max( self.panelSize.width, self.panelSize.height )/2;
-                            self.keyboard.position.set( 0, -h/1.5 - y, 0.1 );
-                            self.keyboard.linkedText = self.content[ name ];
-                            self.keyboard.linkedName = name;
-                            self.keyboard.linkedElement = elm;
-                            self.keyboard.visible = true;
-                        }
-                    }
-                }
-            }
+            self.activate( (event.target === self.controller) ? 0 : 1 );
         }
         
         function onSelectStart( event ){
-            const index = (event.target === self.controller) ? 0 : 1;
-            self.selectPressed[index] = true;
-            if ( self.selectedElements[index] !== undefined && self.selectedElements[index].overflow == "scroll"){
-                const elm = self.selectedElements[index];
-                self.scrollData[index] = { scrollY: elm.scrollY, rayY: self.getIntersectY(index) };
-            }
+            self.selectStart( (event.target === self.controller) ? 0 : 1 );
         }
         
         function onSelectEnd( event ){
-            const index = (event.target === self.controller) ? 0 : 1;
-            self.selectPressed[index] = false;
-            if ( self.selectedElements[index] !== undefined && self.selectedElements[index].overflow == "scroll"){
-                self.scrollData[index] = undefined;
-            }
+            self.selectEnd( (event.target === self.controller) ? 0 : 1 );
         }
         
         this.controller = this.renderer.xr.getController( 0 );
@@ -267,12 +415,282 @@ class CanvasUI{
         
     }
     
+    //A controller's or the pointer's select, index 0 and 1 are the controllers and PointerIndex the mouse or touch
+    activate( index ){
+        const self = this;
+        const elm = self.selectedElements[index];
+        if ( elm === undefined && self.dropdown !== undefined ){
+            //Selecting off the list closes it
+            self.dropdown = undefined;
+            self.needsUpdate = true;
+        }
+        if ( elm !== self.focused ) self.blur();
+        if ( elm !== undefined ){
+            if ( elm.type == "button" || CanvasUI.Clickable.includes( elm.type ) ){
+                self.select( index );
+            }else if ( elm.type == "input-text" && index == CanvasUI.PointerIndex ){
+                //Outside XR the physical keyboard types into it
+                self.focus( elm );
+            }else if ( elm.type == "input-text"){
+                if ( self.keyboard ){
+                    if ( self.keyboard.visible ){
+                        self.keyboard.linkedUI = undefined;
+                        self.keyboard.linkedText = undefined;
+                        self.keyboard.linkedElement = undefined;
+                        self.keyboard.visible = false;
+                    }else{
+                        self.keyboard.linkedUI = self;
+                        let name;
+                        Object.entries( self.config ).forEach( ([prop, value]) => {
+                            if ( value == elm ) name = prop;
+                        });
+                        const y = (0.5-((elm.position.y + elm.height + self.config.body.padding )/self.config.height)) * self.panelSize.height;
+                        const h = Math.max( self.panelSize.width, self.panelSize.height )/2;
+                        self.keyboard.position.set( 0, -h/1.5 - y, 0.1 );
+                        self.keyboard.linkedText = self.content[ name ];
+                        self.keyboard.linkedName = name;
+                        self.keyboard.linkedElement = elm;
+                        self.keyboard.visible = true;
+                    }
+                }
+            }
+        }
+    }
+    
+    selectStart( index ){
+        const self = this;
+        self.selectPressed[index] = true;
+        if ( self.selectedElements[index] !== undefined && self.selectedElements[index].overflow == "scroll"){
+            const elm = self.selectedElements[index];
+            self.scrollData[index] = { scrollY: elm.scrollY, rayY: self.getIntersectY(index) };
+        }
+        if ( self.selectedElements[index] !== undefined && self.selectedElements[index].type == "slider"){
+            self.dragging[index] = self.selectedElements[index];
+            self.drag( index );
+        }
+    }
+    
+    selectEnd( index ){
+        const self = this;
+        self.selectPressed[index] = false;
+        if ( self.selectedElements[index] !== undefined && self.selectedElements[index].overflow == "scroll"){
+            self.scrollData[index] = undefined;
+        }
+        self.dragging[index] = undefined;
+    }
+    
+    /*Mouse and touch outside XR, rays go from camera through the pointer, or through the middle of the
+    screen while the pointer is locked. A wheel scrolls overflow: scroll elements and a selected
+    input-text takes the physical keyboard. Clicks on the panel have preventDefault called so other
+    click handlers, such as a pointer lock request, can leave them alone.*/
+    initPointer( camera, domElement ){
+        if ( camera === undefined ){
+            console.warn( 'CanvasUI.initPointer needs a THREE.Camera' );
+            return;
+        }
+        
+        if ( this.raycaster === undefined ){
+            this.vec3 = new Vector3();
+            this.mat4 = new Matrix4();
+            this.raycaster = new Raycaster();
+        }
+        
+        const element = ( domElement !== undefined ) ? domElement : ( this.renderer !== undefined ) ? this.renderer.domElement : document.body;
+        const index = CanvasUI.PointerIndex;
+        const self = this;
+        
+        this.pointerCamera = camera;
+        this.pointerElement = element;
+        this.pointerNDC = new Vector2();
+        this.pointerActive = false;
+        
+        function setPointer( event ){
+            if ( document.pointerLockElement === element ){
+                self.pointerNDC.set( 0, 0 );
+            }else{
+                const rect = element.getBoundingClientRect();
+                self.pointerNDC.set( ( event.clientX - rect.left ) / rect.width * 2 - 1, -( event.clientY - rect.top ) / rect.height * 2 + 1 );
+            }
+            self.pointerActive = true;
+        }
+        
+        element.addEventListener( 'pointermove', setPointer );
+        
+        element.addEventListener( 'pointerleave', () => {
+            if ( document.pointerLockElement !== element ) self.pointerActive = false;
+        });
+        
+        element.addEventListener( 'pointerdown', event => {
+            if ( event.button !== 0 || self.presenting ) return;
+            setPointer( event );
+            self.handlePointer();
+            self.pressed = self.selectedElements[index];
+            self.pressedOver = self.pointerOver;
+            self.selectStart( index );
+        });
+        
+        element.addEventListener( 'pointerup', event => {
+            if ( event.button !== 0 || self.presenting ) return;
+            const pressed = self.pressed;
+            self.pressed = undefined;
+            self.selectEnd( index );
+            //A press that slid off the element it started on isn't a click
+            if ( pressed === self.selectedElements[index] ) self.activate( index );
+            //A finger lifted from the screen isn't hovering any more
+            if ( event.pointerType == 'touch' ) self.pointerActive = false;
+        });
+        
+        element.addEventListener( 'pointercancel', () => {
+            self.pressed = undefined;
+            self.selectEnd( index );
+            self.pointerActive = false;
+        });
+        
+        //Capturing runs before the element's other listeners, selecting has cleared the hover by the time of the click
+        element.addEventListener( 'click', event => {
+            if ( self.pressedOver ) event.preventDefault();
+            self.pressedOver = false;
+        }, true );
+        
+        element.addEventListener( 'touchstart', event => {
+            if ( self.pressedOver ) event.preventDefault();
+        }, { capture: true, passive: false } );
+        
+        element.addEventListener( 'wheel', event => {
+            const elm = self.selectedElements[index];
+            if ( !self.pointerOver || elm.overflow !== 'scroll' || elm.minScrollY === undefined ) return;
+            event.preventDefault();
+            elm.scrollY = Math.min( Math.max( elm.minScrollY, elm.scrollY - event.deltaY ), 0 );
+            self.needsUpdate = true;
+        }, { passive: false } );
+        
+        //Capturing on the window gets to keys before the page's own controls
+        window.addEventListener( 'keydown', event => self.onKeyDown( event ), true );
+    }
+    
+    get presenting(){
+        return ( this.renderer !== undefined && this.renderer.xr.isPresenting );
+    }
+    
+    //True when the mouse or a touch is over an element of the visible panel
+    get pointerOver(){
+        return ( this.mesh.visible && this.selectedElements[ CanvasUI.PointerIndex ] !== undefined );
+    }
+    
+    handlePointer(){
+        const index = CanvasUI.PointerIndex;
+        
+        if ( !this.pointerActive || this.presenting ){
+            this.hover( index );
+            this.intersects[index] = undefined;
+        }else{
+            this.raycaster.setFromCamera( this.pointerNDC, this.pointerCamera );
+            this.handleRay( index );
+        }
+        
+        //The hand cursor shows what can be clicked when the pointer isn't locked
+        const cursor = ( this.pointerOver && document.pointerLockElement !== this.pointerElement ) ? 'pointer' : '';
+        if ( cursor !== this.cursor ){
+            this.pointerElement.style.cursor = cursor;
+            this.cursor = cursor;
+        }
+    }
+    
+    focus( elm ){
+        this.focused = elm;
+        this.needsUpdate = true;
+    }
+    
+    blur(){
+        if ( this.focused === undefined ) return;
+        this.focused = undefined;
+        this.needsUpdate = true;
+    }
+    
+    //Types into the focused input-text, calling onChanged and onEnter as the CanvasKeyboard does
+    onKeyDown( event ){
+        const elm = this.focused;
+        if ( elm === undefined ) return;
+        if ( !this.mesh.visible || this.presenting ){
+            this.blur();
+            return;
+        }
+        
+        const name = this.getName( elm );
+        const text = this.getText( name );
+        let changed;
+        
+        switch( event.key ){
+            case 'Enter':
+                this.blur();
+                if ( elm.onEnter ) elm.onEnter( text );
+                break;
+            case 'Escape':
+                this.blur();
+                break;
+            case 'Backspace':
+                changed = text.substring( 0, text.length - 1 );
+                break;
+            default:
+                //Leave shortcuts and keys such as Shift and the arrows to the page
+                if ( event.key.length != 1 || event.ctrlKey || event.metaKey || event.altKey ) return;
+                changed = text + event.key;
+                break;
+        }
+        
+        //Keeps the keys from moving the camera while typing
+        event.preventDefault();
+        event.stopPropagation();
+        
+        if ( changed !== undefined ){
+            this.updateElement( name, changed );
+            if ( elm.onChanged ) elm.onChanged( changed );
+        }
+    }
+    
+    /*Lets a gaze source, usually an Object3D attached to the camera, act as controller 0
+    buttons are selected by looking at them for dwellTime seconds*/
+    setGaze( object, dwellTime = 1.5 ){
+        if ( this.raycaster === undefined ){
+            this.vec3 = new Vector3();
+            this.mat4 = new Matrix4();
+            this.raycaster = new Raycaster();
+        }
+        this.gaze = object;
+        this.gazeDwellTime = dwellTime;
+        this.gazeElement = undefined;
+    }
+    
+    updateGaze(){
+        const elm = this.selectedElements[0];
+        if ( elm === undefined || ( elm.type !== 'button' && !CanvasUI.Clickable.includes( elm.type ) ) ){
+            this.gazeElement = undefined;
+            return;
+        }
+        const now = performance.now();
+        if ( this.gazeElement !== elm ){
+            this.gazeElement = elm;
+            this.gazeStart = now;
+        }else if ( ( now - this.gazeStart ) > this.gazeDwellTime * 1000 ){
+            this.gazeElement = undefined;
+            this.select( 0 );
+            this.needsUpdate = true;
+        }
+    }
+    
     setClip( elm ){
         const context = this.context;
         
         context.restore();
         context.save();
         
+        //Pages slide or fade in and out
+        const state = this.drawState;
+        if ( state !== undefined ){
+            context.translate( state.x, 0 );
+            context.globalAlpha = state.alpha;
+        }
+        
         if (elm.clipPath !== undefined){
             const path = new Path2D( elm.clipPath );
             context.clip( path );
@@ -334,6 +752,7 @@ class CanvasUI{
         this.content[name] = elm;
         
         this.needsUpdate = true;
+        this.needsLayout = true;
     }
     
     get panel(){
@@ -342,8 +761,14 @@ class CanvasUI{
 
     getElementAtLocation( x, y ){
         const self = this;
+        //An open dropdown list covers the elements under it
+        if ( this.getDropdownIndex( { x, y } ) !== undefined ) return this.config[this.dropdown];
         const elms = Object.entries( this.config ).filter( ([ name, elm ]) => {
-            if (typeof elm === 'object' && name !== 'panelSize' && name !== 'body' && !(elm instanceof WebGLRenderer) && !(elm instanceof Scene)){
+            if (typeof elm === 'object' && name !== 'panelSize' && name !== 'body' && name !== 'pages' && !(elm instanceof WebGLRenderer) && !(elm instanceof Scene)){
+                //Containers only hold other elements
+                if (elm.display === 'none' || elm.type === 'container' || self.isCollapsed( name )) return false;
+                //Nothing can be picked while pages change
+                if (self.transition !== undefined || self.getPageState( name ) === undefined) return false;
                 const pos = elm.position;
                 const width = (elm.width !== undefined) ? elm.width : self.config.width;
                 const height = (elm.height !== undefined) ? elm.height : self.config.height;
@@ -364,10 +789,626 @@ class CanvasUI{
         }
         
         elm[property] = value;
+        //The layout overwrites the sizes, so it keeps the configured ones
+        if (elm.specified !== undefined && (property === 'width' || property === 'height')) elm.specified[property] = value;
         
         this.needsUpdate = true;
+        this.needsLayout = true;
     }
 
+    //Positions and sizes the children of every container, called from update when content or config changed
+    layout(){
+        this.needsLayout = false;
+        this.roots = [];
+        this.collapsed = new Set();
+        
+        const containers = Object.entries( this.config ).filter( ( [ name, elm ] ) => ( elm !== null && typeof elm === 'object' && elm.type === 'container' ) );
+        if ( containers.length == 0 ) return;
+        
+        const nested = new Set();
+        containers.forEach( ( [ name, elm ] ) => {
+            elm.children.forEach( child => {
+                nested.add( child );
+                //The layout overwrites the sizes, so the configured ones are kept
+                const config = this.config[child];
+                if ( config.specified === undefined ) config.specified = { width: config.width, height: config.height };
+            });
+        });
+        
+        containers.forEach( ( [ name, elm ] ) => {
+            if ( elm.display === 'none' ) this.collapse( name );
+        });
+        
+        let bottom = 0;
+        
+        containers.forEach( ( [ name, elm ] ) => {
+            if ( nested.has( name ) ) return;
+            if ( elm.specified === undefined ) elm.specified = { width: elm.width, height: elm.height };
+            this.roots.push( name );
+            if ( elm.display === 'none' ) return;
+            
+            const pos = elm.position;
+            const right = ( pos.right !== undefined ) ? pos.right : 0;
+            const available = this.config.width - pos.x - right;
+            let width = elm.specified.width;
+            if ( width === 'auto' ){
+                width = this.measureWidth( name, available );
+            }else if ( typeof width !== 'number' ){
+                width = this.clamp( elm, 'width', available );
+            }
+            
+            let height = elm.specified.height;
+            if ( height === 'auto' || ( height === undefined && this.autoHeight ) ){
+                height = this.measureHeight( name, width );
+            }else if ( typeof height !== 'number' ){
+                height = this.clamp( elm, 'height', this.config.height - pos.y - ( ( pos.bottom !== undefined ) ? pos.bottom : 0 ) );
+            }
+            
+            this.arrange( name, pos.x, pos.y, width, height );
+            
+            //Only the pages showing set the panel height
+            if ( this.getPageState( name ) !== undefined ) bottom = Math.max( bottom, pos.y + height + ( ( pos.bottom !== undefined ) ? pos.bottom : pos.y ) );
+        });
+        
+        if ( this.autoHeight && bottom > 0 ) this.resize( bottom );
+    }
+    
+    //Marks the children of a hidden container as hidden too
+    collapse( name ){
+        this.config[name].children.forEach( child => {
+            this.collapsed.add( child );
+            if ( this.config[child].type === 'container' ) this.collapse( child );
+        });
+    }
+    
+    isCollapsed( name ){
+        return ( this.collapsed !== undefined && this.collapsed.has( name ) );
+    }
+    
+    //Changes the height of the canvas and the panel, the panel keeps its width and grows about its centre
+    resize( height ){
+        height = Math.ceil( height );
+        if ( height == this.config.height ) return;
+        this.config.height = height;
+        //Resizing a canvas clears its state
+        this.context.canvas.height = height;
+        this.context.save();
+        this.panelSize.height = this.panelSize.width * height / this.config.width;
+        this.mesh.geometry.dispose();
+        this.mesh.geometry = new PlaneGeometry( this.panelSize.width, this.panelSize.height );
+        //A texture can't change size once it is on the GPU
+        this.texture.dispose();
+    }
+    
+    //Visible children of a container
+    getChildren( elm ){
+        return elm.children.filter( child => this.config[child].display !== 'none' );
+    }
+    
+    clamp( elm, property, size ){
+        const name = property.charAt(0).toUpperCase() + property.substring(1);
+        const min = elm[`min${name}`];
+        const max = elm[`max${name}`];
+        if ( max !== undefined ) size = Math.min( size, max );
+        if ( min !== undefined ) size = Math.max( size, min );
+        return size;
+    }
+    
+    getGaps( elm, children ){
+        const gap = ( elm.gap !== undefined ) ? elm.gap : 0;
+        return gap * Math.max( children.length - 1, 0 );
+    }
+    
+    getAlignment( elm, child ){
+        if ( child.alignSelf !== undefined ) return child.alignSelf;
+        return ( elm.alignItems !== undefined ) ? elm.alignItems : 'stretch';
+    }
+    
+    getValue( name ){
+        const content = this.content[name];
+        return ( content !== null && typeof content === 'object' ) ? content.content : content;
+    }
+    
+    getText( name ){
+        const value = this.getValue( name );
+        return ( value === undefined || value === null ) ? '' : String( value );
+    }
+    
+    getName( elm ){
+        return Object.keys( this.config ).find( name => this.config[name] === elm );
+    }
+    
+    //Changes a widget's value from the panel
+    setValue( name, value ){
+        const elm = this.config[name];
+        if ( this.getValue( name ) === value ) return;
+        this.updateElement( name, value );
+        if ( elm.onChanged ) elm.onChanged( value );
+    }
+    
+    //Width an element needs, no wider than available unless it is set
+    measureWidth( name, available ){
+        const elm = this.config[name];
+        const specified = ( elm.specified !== undefined ) ? elm.specified.width : elm.width;
+        if ( typeof specified === 'number' ) return this.clamp( elm, 'width', specified );
+        
+        const padding = this.getPadding( elm );
+        const inner = available - padding.left - padding.right;
+        let width = 0;
+        
+        if ( elm.type === 'container' ){
+            const children = this.getChildren( elm );
+            const widths = children.map( child => this.measureWidth( child, inner ) );
+            if ( elm.direction === 'row' ){
+                width = widths.reduce( ( sum, w ) => sum + w, 0 ) + this.getGaps( elm, children );
+            }else{
+                width = Math.max( 0, ...widths );
+            }
+        }else if ( elm.type === 'img' ){
+            if ( elm.img !== undefined ) width = elm.img.width;
+        }else if ( CanvasUI.Widgets.includes( elm.type ) ){
+            width = this.measureWidget( name ).width;
+        }else{
+            const txt = this.getText( name );
+            if ( txt !== '' && !txt.toLowerCase().startsWith( '<path>' ) ){
+                const style = this.setFont( elm );
+                if ( elm.markup ){
+                    width = this.getRichText( elm, txt ).layout( this.context, Infinity, style ).width;
+                }else{
+                    //Measured as it is drawn, trailing spaces included, so it doesn't wrap at this width
+                    width = Math.max( 0, ...this.getLines( txt, Infinity ).map( line => this.context.measureText( line ).width ) );
+                }
+            }
+        }
+        
+        return this.clamp( elm, 'width', Math.min( Math.ceil( width ) + padding.left + padding.right, available ) );
+    }
+    
+    //Height an element needs at a width
+    measureHeight( name, width ){
+        const elm = this.config[name];
+        const specified = ( elm.specified !== undefined ) ? elm.specified.height : elm.height;
+        if ( typeof specified === 'number' ) return this.clamp( elm, 'height', specified );
+        
+        const padding = this.getPadding( elm );
+        const inner = width - padding.left - padding.right;
+        let height = 0;
+        
+        if ( elm.type === 'container' ){
+            const children = this.getChildren( elm );
+            if ( elm.direction === 'row' ){
+                const widths = this.getMainSizes( elm, children, inner );
+                height = Math.max( 0, ...children.map( ( child, i ) => this.measureHeight( child, widths[i] ) ) );
+            }else{
+                const widths = children.map( child => this.getCrossSize( elm, child, inner ) );
+                height = this.getMainSizes( elm, children, Infinity, widths ).reduce( ( sum, h ) => sum + h, 0 ) + this.getGaps( elm, children );
+            }
+        }else if ( elm.type === 'img' ){
+            if ( elm.img !== undefined ) height = width * elm.img.height / elm.img.width;
+        }else if ( CanvasUI.Widgets.includes( elm.type ) ){
+            height = this.measureWidget( name ).height;
+        }else{
+            const txt = this.getText( name );
+            if ( txt !== '' && !txt.toLowerCase().startsWith( '<path>' ) ){
+                const style = this.setFont( elm );
+                if ( elm.markup ){
+                    height = this.getRichText( elm, txt ).layout( this.context, inner, style ).height;
+                }else{
+                    height = this.getLines( txt, inner ).length * style.lineHeight;
+                }
+            }
+        }
+        
+        return this.clamp( elm, 'height', Math.ceil( height ) + padding.top + padding.bottom );
+    }
+    
+    /*Sizes of the children along the container's direction, spare space goes to those with a flexGrow
+    and a shortfall comes from those without a fixed size. widths are needed for a column*/
+    getMainSizes( elm, children, available, widths ){
+        const row = ( elm.direction === 'row' );
+        const property = ( row ) ? 'width' : 'height';
+        const sizes = children.map( ( child, i ) => ( row ) ? this.measureWidth( child, available ) : this.measureHeight( child, widths[i] ) );
+        if ( available == Infinity ) return sizes;
+        
+        const free = available - this.getGaps( elm, children ) - sizes.reduce( ( sum, size ) => sum + size, 0 );
+        if ( free == 0 ) return sizes;
+        
+        const weights = children.map( ( child, i ) => {
+            const config = this.config[child];
+            if ( free > 0 ) return ( config.flexGrow !== undefined ) ? config.flexGrow : 0;
+            if ( typeof config.specified[property] === 'number' ) return 0;
+            return ( ( config.flexShrink !== undefined ) ? config.flexShrink : 1 ) * sizes[i];
+        });
+        const total = weights.reduce( ( sum, weight ) => sum + weight, 0 );
+        if ( total == 0 ) return sizes;
+        
+        return sizes.map( ( size, i ) => this.clamp( this.config[children[i]], property, Math.max( size + free * weights[i] / total, 0 ) ) );
+    }
+    
+    //Size of a child across the container's direction, width is needed for a row
+    getCrossSize( elm, child, available, width ){
+        const config = this.config[child];
+        const row = ( elm.direction === 'row' );
+        const specified = config.specified[ ( row ) ? 'height' : 'width' ];
+        if ( specified === undefined && this.getAlignment( elm, config ) === 'stretch' && available != Infinity ){
+            return this.clamp( config, ( row ) ? 'height' : 'width', available );
+        }
+        return ( row ) ? this.measureHeight( child, width ) : this.measureWidth( child, available );
+    }
+    
+    //Sets the position and size of an element and lays out its children
+    arrange( name, x, y, width, height ){
+        const elm = this.config[name];
+        elm.position.x = x;
+        elm.position.y = y;
+        elm.width = width;
+        elm.height = height;
+        
+        if ( elm.type !== 'container' ) return;
+        
+        const padding = this.getPadding( elm );
+        const inner = { x: x + padding.left, y: y + padding.top, width: width - padding.left - padding.right, height: height - padding.top - padding.bottom };
+        const row = ( elm.direction === 'row' );
+        const children = this.getChildren( elm );
+        let widths, heights;
+        
+        if ( row ){
+            widths = this.getMainSizes( elm, children, inner.width );
+            heights = children.map( ( child, i ) => this.getCrossSize( elm, child, inner.height, widths[i] ) );
+        }else{
+            widths = children.map( child => this.getCrossSize( elm, child, inner.width ) );
+            heights = this.getMainSizes( elm, children, inner.height, widths );
+        }
+        
+        const sizes = ( row ) ? widths : heights;
+        const free = Math.max( ( ( row ) ? inner.width : inner.height ) - sizes.reduce( ( sum, size ) => sum + size, 0 ) - this.getGaps( elm, children ), 0 );
+        let offset = 0;
+        let spacing = ( elm.gap !== undefined ) ? elm.gap : 0;
+        
+        switch( elm.justifyContent ){
+            case 'center':
+                offset = free/2;
+                break;
+            case 'end':
+                offset = free;
+                break;
+            case 'space-between':
+                if ( children.length > 1 ) spacing += free/( children.length - 1 );
+                break;
+            case 'space-around':
+                spacing += free/children.length;
+                offset = free/children.length/2;
+                break;
+        }
+        
+        children.forEach( ( child, i ) => {
+            const space = ( row ) ? inner.height - heights[i] : inner.width - widths[i];
+            let cross = 0;
+            switch( this.getAlignment( elm, this.config[child] ) ){
+                case 'center':
+                    cross = space/2;
+                    break;
+                case 'end':
+                    cross = space;
+                    break;
+            }
+            if ( row ){
+                this.arrange( child, inner.x + offset, inner.y + cross, widths[i], heights[i] );
+            }else{
+                this.arrange( child, inner.x + cross, inner.y + offset, widths[i], heights[i] );
+            }
+            offset += sizes[i] + spacing;
+        });
+    }
+    
+    //Draws the background of a container then the containers inside it
+    drawContainer( name ){
+        const elm = this.config[name];
+        if ( elm.display === 'none' ) return;
+        this.drawState = this.getPageState( name );
+        if ( this.drawState === undefined ) return;
+        if ( elm.backgroundColor !== undefined ){
+            this.setClip( elm );
+            this.context.fillStyle = elm.backgroundColor;
+            this.context.fillRect( elm.position.x, elm.position.y, elm.width, elm.height );
+        }
+        this.getChildren( elm ).forEach( child => {
+            if ( this.config[child].type === 'container' ) this.drawContainer( child );
+        });
+    }
+    
+    //Natural size of a widget without its padding
+    measureWidget( name ){
+        const elm = this.config[name];
+        const { fontSize } = this.setFont( elm );
+        const box = Math.round( fontSize * 1.2 );
+        const gap = fontSize/2;
+        const labelWidth = ( elm.label !== undefined ) ? gap + this.context.measureText( elm.label ).width : 0;
+        const options = this.getOptions( elm );
+        const optionWidth = Math.max( 0, ...options.map( option => this.context.measureText( option.label ).width ) );
+        
+        switch( elm.type ){
+            case 'slider':
+                return { width: fontSize * 8, height: Math.round( fontSize * 1.5 ) };
+            case 'progress':
+                return { width: fontSize * 8, height: fontSize };
+            case 'toggle':
+                return { width: box * 1.8 + labelWidth, height: box };
+            case 'checkbox':
+                return { width: box + labelWidth, height: box };
+            case 'radio':{
+                const item = box + gap + optionWidth + gap;
+                const height = Math.round( box * 1.4 );
+                return ( elm.direction === 'row' ) ? { width: item * options.length, height } : { width: item, height: height * options.length };
+            }
+            case 'dropdown':
+                return { width: optionWidth + fontSize * 2.5, height: Math.round( fontSize * 1.6 ) };
+        }
+        return { width: 0, height: 0 };
+    }
+    
+    //Options of a radio group or dropdown as { label, value }
+    getOptions( elm ){
+        if ( !Array.isArray( elm.options ) ) return [];
+        return elm.options.map( option => ( option !== null && typeof option === 'object' ) ? { label: String( option.label ), value: ( option.value !== undefined ) ? option.value : option.label } : { label: String( option ), value: option } );
+    }
+    
+    getContentRect( elm ){
+        const padding = this.getPadding( elm );
+        const width = (elm.width !== undefined) ? elm.width : this.config.width;
+        const height = (elm.height !== undefined) ? elm.height : this.config.height;
+        return { x: elm.position.x + padding.left, y: elm.position.y + padding.top, width: width - padding.left - padding.right, height: height - padding.top - padding.bottom };
+    }
+    
+    //0 to 1 along a slider or progress bar
+    getFraction( elm, value ){
+        const min = ( elm.min !== undefined ) ? elm.min : 0;
+        const max = ( elm.max !== undefined ) ? elm.max : 1;
+        if ( typeof value !== 'number' || max == min ) return 0;
+        return Math.min( Math.max( ( value - min ) / ( max - min ), 0 ), 1 );
+    }
+    
+    //The thumb stays inside the element at both ends
+    getSliderTrack( elm ){
+        const rect = this.getContentRect( elm );
+        const radius = Math.min( rect.height * 0.4, rect.width/4 );
+        return { x: rect.x + radius, y: rect.y + rect.height/2, width: rect.width - radius * 2, radius };
+    }
+    
+    //Area of option i of a radio group
+    getRadioItem( elm, i ){
+        const rect = this.getContentRect( elm );
+        const count = Math.max( this.getOptions( elm ).length, 1 );
+        if ( elm.direction === 'row' ){
+            const width = rect.width / count;
+            return { x: rect.x + width * i, y: rect.y, width, height: rect.height };
+        }
+        const height = rect.height / count;
+        return { x: rect.x, y: rect.y + height * i, width: rect.width, height };
+    }
+    
+    //The open dropdown's list, under the element unless there's more room above it
+    getDropdownList(){
+        if ( this.dropdown === undefined ) return;
+        const elm = this.config[this.dropdown];
+        const options = this.getOptions( elm );
+        const itemHeight = elm.height;
+        const height = itemHeight * options.length;
+        let y = elm.position.y + elm.height;
+        if ( y + height > this.config.height && elm.position.y - height >= 0 ) y = elm.position.y - height;
+        return { x: elm.position.x, y, width: elm.width, height, itemHeight, options };
+    }
+    
+    //Index of the option in the open list under pointer
+    getDropdownIndex( pointer ){
+        const list = this.getDropdownList();
+        if ( list === undefined || pointer === undefined ) return;
+        if ( pointer.x < list.x || pointer.x >= list.x + list.width || pointer.y < list.y || pointer.y >= list.y + list.height ) return;
+        return Math.floor( ( pointer.y - list.y ) / list.itemHeight );
+    }
+    
+    //Toggles, checkboxes and radio groups change, a dropdown opens its list
+    selectWidget( elm, index ){
+        const name = this.getName( elm );
+        const pointer = this.pointers[index];
+        
+        switch( elm.type ){
+            case 'toggle':
+            case 'checkbox':
+                this.setValue( name, !this.getValue( name ) );
+                break;
+            case 'radio':{
+                if ( pointer === undefined ) break;
+                const options = this.getOptions( elm );
+                const option = options.find( ( option, i ) => {
+                    const item = this.getRadioItem( elm, i );
+                    return ( pointer.x >= item.x && pointer.x < item.x + item.width && pointer.y >= item.y && pointer.y < item.y + item.height );
+                });
+                if ( option !== undefined ) this.setValue( name, option.value );
+                break;
+            }
+            case 'dropdown':
+                this.dropdown = name;
+                this.needsUpdate = true;
+                break;
+        }
+    }
+    
+    //Moves a held slider's thumb to the controller
+    drag( index ){
+        const elm = this.dragging[index];
+        const pointer = this.pointers[index];
+        if ( elm === undefined || pointer === undefined || !this.selectPressed[index] ) return;
+        
+        const track = this.getSliderTrack( elm );
+        const t = Math.min( Math.max( ( pointer.x - track.x ) / track.width, 0 ), 1 );
+        const min = ( elm.min !== undefined ) ? elm.min : 0;
+        const max = ( elm.max !== undefined ) ? elm.max : 1;
+        let value = min + t * ( max - min );
+        if ( elm.step !== undefined && elm.step > 0 ){
+            value = min + Math.round( ( value - min ) / elm.step ) * elm.step;
+            //Floating point steps such as 0.1 leave long fractions
+            value = Math.min( Number( value.toFixed( 10 ) ), max );
+        }
+        
+        this.setValue( this.getName( elm ), value );
+    }
+    
+    fillCircle( x, y, radius ){
+        const context = this.context;
+        context.beginPath();
+        context.arc( x, y, Math.max( radius, 0 ), 0, Math.PI * 2 );
+        context.fill();
+    }
+    
+    drawWidget( name, config, hover ){
+        const context = this.context;
+        const pos = config.position;
+        const width = (config.width !== undefined) ? config.width : this.config.width;
+        const height = (config.height !== undefined) ? config.height : this.config.height;
+        const rect = this.getContentRect( config );
+        const value = this.getValue( name );
+        const { fontSize } = this.setFont( config );
+        const gap = fontSize/2;
+        const box = Math.min( Math.round( fontSize * 1.2 ), rect.height );
+        const middle = rect.y + rect.height/2;
+        const fontColor = ( config.fontColor !== undefined ) ? config.fontColor : this.config.body.fontColor;
+        const fillColor = ( config.fillColor !== undefined ) ? config.fillColor : '#007bff';
+        const trackColor = ( config.trackColor !== undefined ) ? config.trackColor : '#888';
+        const thumbColor = ( hover && config.hover !== undefined ) ? config.hover : ( config.thumbColor !== undefined ) ? config.thumbColor : '#fff';
+        
+        if ( config.backgroundColor !== undefined ){
+            context.fillStyle = config.backgroundColor;
+            context.fillRect( pos.x, pos.y, width, height );
+        }
+        
+        context.textBaseline = 'middle';
+        context.textAlign = 'left';
+        
+        switch( config.type ){
+            case 'slider':{
+                const track = this.getSliderTrack( config );
+                const t = this.getFraction( config, value );
+                const thickness = Math.max( track.radius * 0.5, 4 );
+                context.fillStyle = trackColor;
+                this.fillRoundedRect( track.x, middle - thickness/2, track.width, thickness, thickness/2 );
+                context.fillStyle = fillColor;
+                if ( t > 0 ) this.fillRoundedRect( track.x, middle - thickness/2, Math.max( track.width * t, thickness ), thickness, thickness/2 );
+                context.fillStyle = thumbColor;
+                this.fillCircle( track.x + track.width * t, middle, track.radius );
+                break;
+            }
+            case 'progress':{
+                const t = this.getFraction( config, value );
+                const radius = rect.height/2;
+                context.fillStyle = trackColor;
+                this.fillRoundedRect( rect.x, rect.y, rect.width, rect.height, radius );
+                context.fillStyle = fillColor;
+                if ( t > 0 ) this.fillRoundedRect( rect.x, rect.y, Math.max( rect.width * t, rect.height ), rect.height, radius );
+                if ( config.showValue ){
+                    context.fillStyle = fontColor;
+                    context.textAlign = 'center';
+                    context.fillText( `${Math.round( t * 100 )}%`, rect.x + rect.width/2, middle );
+                }
+                break;
+            }
+            case 'toggle':{
+                const w = box * 1.8;
+                context.fillStyle = ( value ) ? fillColor : trackColor;
+                this.fillRoundedRect( rect.x, middle - box/2, w, box, box/2 );
+                context.fillStyle = thumbColor;
+                this.fillCircle( ( value ) ? rect.x + w - box/2 : rect.x + box/2, middle, box/2 - 3 );
+                if ( config.label !== undefined ){
+                    context.fillStyle = fontColor;
+                    context.fillText( config.label, rect.x + w + gap, middle );
+                }
+                break;
+            }
+            case 'checkbox':{
+                context.fillStyle = ( value ) ? fillColor : trackColor;
+                this.fillRoundedRect( rect.x, middle - box/2, box, box, box/6 );
+                if ( !value ){
+                    context.fillStyle = thumbColor;
+                    this.fillRoundedRect( rect.x + 3, middle - box/2 + 3, box - 6, box - 6, box/8 );
+                }else{
+                    context.strokeStyle = thumbColor;
+                    context.lineWidth = Math.max( box/8, 2 );
+                    context.beginPath();
+                    context.moveTo( rect.x + box * 0.22, middle );
+                    context.lineTo( rect.x + box * 0.42, middle + box * 0.2 );
+                    context.lineTo( rect.x + box * 0.78, middle - box * 0.22 );
+                    context.stroke();
+                }
+                if ( config.label !== undefined ){
+                    context.fillStyle = fontColor;
+                    context.fillText( config.label, rect.x + box + gap, middle );
+                }
+                break;
+            }
+            case 'radio':{
+                const pointer = this.pointers.find( ( pointer, i ) => pointer !== undefined && this.selectedElements[i] === config );
+                this.getOptions( config ).forEach( ( option, i ) => {
+                    const item = this.getRadioItem( config, i );
+                    const y = item.y + item.height/2;
+                    const r = Math.min( box, item.height )/2;
+                    const over = ( pointer !== undefined && pointer.x >= item.x && pointer.x < item.x + item.width && pointer.y >= item.y && pointer.y < item.y + item.height );
+                    context.fillStyle = ( option.value === value ) ? fillColor : trackColor;
+                    this.fillCircle( item.x + r, y, r );
+                    context.fillStyle = ( over && config.hover !== undefined ) ? config.hover : ( config.thumbColor !== undefined ) ? config.thumbColor : '#fff';
+                    this.fillCircle( item.x + r, y, ( option.value === value ) ? r * 0.4 : r - 3 );
+                    context.fillStyle = fontColor;
+                    context.fillText( option.label, item.x + r * 2 + gap, y );
+                });
+                break;
+            }
+            case 'dropdown':{
+                const option = this.getOptions( config ).find( option => option.value === value );
+                context.strokeStyle = ( hover && config.hover !== undefined ) ? config.hover : trackColor;
+                context.lineWidth = 2;
+                context.strokeRect( pos.x + 1, pos.y + 1, width - 2, height - 2 );
+                context.fillStyle = fontColor;
+                if ( option !== undefined ) context.fillText( option.label, rect.x + gap, middle );
+                context.textAlign = 'right';
+                context.fillText( ( this.dropdown === name ) ? '▲' : '▼', rect.x + rect.width - gap, middle );
+                break;
+            }
+        }
+        
+        context.textBaseline = 'alphabetic';
+    }
+    
+    drawDropdownList(){
+        const list = this.getDropdownList();
+        const elm = this.config[this.dropdown];
+        const context = this.context;
+        const value = this.getValue( this.dropdown );
+        const { fontSize } = this.setFont( elm );
+        const fontColor = ( elm.fontColor !== undefined ) ? elm.fontColor : this.config.body.fontColor;
+        const background = ( elm.backgroundColor !== undefined ) ? elm.backgroundColor : this.config.body.backgroundColor;
+        const over = this.pointers.map( pointer => this.getDropdownIndex( pointer ) ).find( i => i !== undefined );
+        
+        this.setClip( this.config.body );
+        context.fillStyle = background;
+        context.fillRect( list.x, list.y, list.width, list.height );
+        context.textBaseline = 'middle';
+        context.textAlign = 'left';
+        
+        list.options.forEach( ( option, i ) => {
+            const y = list.y + i * list.itemHeight;
+            if ( i === over || option.value === value ){
+                context.fillStyle = ( i === over && elm.hover !== undefined ) ? elm.hover : ( elm.fillColor !== undefined ) ? elm.fillColor : '#007bff';
+                context.fillRect( list.x, y, list.width, list.itemHeight );
+            }
+            context.fillStyle = fontColor;
+            context.fillText( option.label, list.x + this.getPadding( elm ).left + fontSize/2, y + list.itemHeight/2 );
+        });
+        
+        context.strokeStyle = ( elm.trackColor !== undefined ) ? elm.trackColor : '#888';
+        context.lineWidth = 2;
+        context.strokeRect( list.x + 1, list.y + 1, list.width - 2, list.height - 2 );
+        context.textBaseline = 'alphabetic';
+    }
+    
     hover( index = 0, uv ){
         if (uv === undefined){
             if (this.selectedElements[index] !== undefined){
@@ -378,6 +1419,9 @@ class CanvasUI{
             const x = uv.x * (this.config.width || 512);
             const y = (1 - uv.y) * (this.config.height || 512);
             //console.log( `hover uv:${uv.x.toFixed(2)},${uv.y.toFixed(2)}>>texturePos:${x.toFixed(0)}, ${y.toFixed(0)}`);
+            this.pointers[index] = { x, y };
+            //The open list highlights the option under the pointer
+            if (this.dropdown !== undefined) this.needsUpdate = true;
             const elm = this.getElementAtLocation( x, y );
             if (elm===null){
                 if ( this.selectedElements[index] !== undefined ){
@@ -393,9 +1437,31 @@ class CanvasUI{
     }
     
     select( index = 0 ){
+        if (this.dropdown !== undefined){
+            const dropdown = this.config[this.dropdown];
+            const option = this.getOptions( dropdown )[ this.getDropdownIndex( this.pointers[index] ) ];
+            const name = this.dropdown;
+            this.dropdown = undefined;
+            this.needsUpdate = true;
+            //Picking an option or the dropdown again only closes the list
+            if (option !== undefined || this.selectedElements[index] === dropdown){
+                if (this.onSelect) this.onSelect( dropdown );
+                if (option !== undefined) this.setValue( name, option.value );
+                this.selectedElements[index] = undefined;
+                return;
+            }
+        }
         if (this.selectedElements[index] !== undefined){
             const elm = this.selectedElements[index];
+            //Panel wide hook, used for click sounds
+            if (this.onSelect) this.onSelect( elm );
             if (elm.onSelect) elm.onSelect();
+            if (CanvasUI.Clickable.includes( elm.type )) this.selectWidget( elm, index );
+            if (elm.back){
+                this.pop();
+            }else if (elm.page !== undefined){
+                this.push( elm.page );
+            }
             if (elm.type === 'input-text'){
                 this.keyboard.mesh.visible = true;
             }else{
@@ -406,7 +1472,7 @@ class CanvasUI{
     
     scroll( index ){
         if ( this.selectedElements[index] === undefined ){
-            if (this.intersectMesh) this.intersectMesh[index].visible = false;
+            if (this.intersectMesh && this.intersectMesh[index]) this.intersectMesh[index].visible = false;
             return;
         } 
         if ( this.selectedElements[index].overflow !== 'scroll') return;
@@ -414,7 +1480,7 @@ class CanvasUI{
         if ( this.selectPressed[index] ){ 
             const scrollData = this.scrollData[index];
             if (scrollData !== undefined){
-                if (this.intersectMesh){
+                if (this.intersectMesh && this.intersectMesh[index]){
                     this.intersectMesh[index].visible = true;
                     this.intersectMesh[index].position.copy( this.intersects[index].point );
                 }
@@ -424,7 +1490,7 @@ class CanvasUI{
                 this.needsUpdate = true;
             }
         }else{
-            if (this.intersectMesh) this.intersectMesh[index].visible = false;
+            if (this.intersectMesh && this.intersectMesh[index]) this.intersectMesh[index].visible = false;
         }
     }
         
@@ -434,12 +1500,19 @@ class CanvasUI{
         this.raycaster.ray.origin.setFromMatrixPosition( controller.matrixWorld );
         this.raycaster.ray.direction.set( 0, 0, - 1 ).applyMatrix4( this.mat4 );
 
-        const intersects = this.raycaster.intersectObject( this.mesh );
+        this.handleRay( index );
+    }
+    
+    //Hit tests the raycaster's ray for the controller or pointer at index
+    handleRay( index ){
+        //Raycaster ignores visibility so a hidden panel must not be hit
+        const intersects = ( this.mesh.visible ) ? this.raycaster.intersectObject( this.mesh ) : [];
 
         if (intersects.length>0){
             this.hover( index, intersects[0].uv );
             this.intersects[index] = intersects[0];
             this.scroll( index );
+            this.drag( index );
         }else{
             this.hover( index );
             this.intersects[index] = undefined;
@@ -450,12 +1523,31 @@ class CanvasUI{
 	update(){    
         if (this.mesh===undefined) return;
             
-        if ( this.controller ) this.handleController( this.controller, 0 );
+        if ( this.gaze ){
+            this.handleController( this.gaze, 0 );
+            this.updateGaze();
+        }else if ( this.controller ){
+            this.handleController( this.controller, 0 );
+        }
         if ( this.controller1 ) this.handleController( this.controller1, 1 );
+        if ( this.pointerCamera ) this.handlePointer();
 
         if ( this.keyboard && this.keyboard.visible ) this.keyboard.update();
         
+        if ( this.transition !== undefined ){
+            const transition = this.transition;
+            transition.t = ( performance.now() - transition.start ) / ( transition.duration * 1000 );
+            if ( transition.t >= 1 ){
+                this.transition = undefined;
+                //The panel fits the new page once the old one has gone
+                this.needsLayout = true;
+            }
+            this.needsUpdate = true;
+        }
+        
         if ( !this.needsUpdate ) return;
+        
+        if ( this.needsLayout ) this.layout();
 		
 		let context = this.context;
 		
@@ -465,17 +1557,32 @@ class CanvasUI{
         const fontFamily = ( this.config.body.fontFamily ) ? this.config.body.fontFamily : "Arial";
         const fontColor = ( this.config.body.fontColor ) ? this.config.body.fontColor : "#fff";
         const fontSize = ( this.config.body.fontSize ) ? this.config.body.fontSize : 30;
+        this.drawState = undefined;
         this.setClip(this.config.body);
         context.fillStyle = bgColor;
         context.fillRect( 0, 0, this.config.width, this.config.height);
         
         const self = this;
         
+        //Containers first so the elements they hold are drawn over them
+        this.roots.forEach( name => this.drawContainer( name ) );
+        
         Object.entries(this.content).forEach( ([name, content]) => {
             const config = (self.config[name]!==undefined) ? self.config[name] : self.config.body;
-            const display = (config.display !== undefined) ? config.display : 'block';
+            let display = (config.display !== undefined) ? config.display : 'block';
+            //Inside a hidden container
+            if (self.isCollapsed(name)) display = 'none';
+            self.drawState = self.getPageState(name);
+            if (self.drawState === undefined) display = 'none';
             
             if (display !== 'none'){
+                if (CanvasUI.Widgets.includes( config.type )){
+                    const hover = self.selectedElements.includes( config );
+                    self.setClip( config );
+                    self.drawWidget( name, config, hover );
+                    return;
+                }
+                
                 const pos = (config.position!==undefined) ? config.position : { x: 0, y: 0 };                
                 const width = (config.width!==undefined) ? config.width : self.config.width;
                 const height = (config.height!==undefined) ? config.height : self.config.height;
@@ -488,7 +1595,7 @@ class CanvasUI{
                 self.setClip( config );
                 
                 const svgPath = content.toLowerCase().startsWith("<path>");
-                const hover = ((self.selectedElements[0] !== undefined && this.selectedElements[0] === config)||(self.selectedElements[1] !== undefined && this.selectedElements[1] === config));
+                const hover = self.selectedElements.includes( config );
                 
                 if ( config.backgroundColor !== undefined){
                     if (hover && config.type== "button" && config.hover !== undefined){
@@ -520,7 +1627,8 @@ class CanvasUI{
                         context.fill(path);
                         context.restore();
                     }else{
-                        self.wrapText( name, content )
+                        //A caret shows where the physical keyboard types
+                        self.wrapText( name, ( config === self.focused ) ? `${content}|` : content )
                     }
 
                     if (stroke){
@@ -536,6 +1644,7 @@ class CanvasUI{
                             console.log(`w: ${img.width} | h: ${img.height}`);
                             config.img = img;
                             self.needsUpdate = true;
+                            self.needsLayout = true;
                             self.update();           
                         }).catch(err => console.error(err));
                     }else{
@@ -546,6 +1655,11 @@ class CanvasUI{
                 }
             }
         })
+        
+        this.drawState = undefined;
+        
+        //Over everything else
+        if ( this.dropdown !== undefined ) this.drawDropdownList();
 		
         this.needsUpdate = false;
 		this.texture.needsUpdate = true;
@@ -601,6 +1715,11 @@ class CanvasUI{
         if (this.mesh){
             this.mesh.visible = value;
         }
+        //update isn't called while the panel is hidden
+        if (!value && this.cursor){
+            this.pointerElement.style.cursor = '';
+            this.cursor = '';
+        }
     }
     
     get position(){
@@ -631,46 +1750,53 @@ class CanvasUI{
         this.mesh.quaternion.copy( value );
     }
     
-	wrapText(name, txt){
-        //console.log( `wrapText: ${name}:${txt}`);
-		const words = txt.split(' ');
-        let line = '';
-		const lines = [];
-        const config = (this.config[name]!==undefined) ? this.config[name] : this.config.body;
-        const width = (config.width!==undefined) ? config.width : this.config.width;
-        const height = (config.height!==undefined) ? config.height : this.config.height;
-        const pos = (config.position!==undefined) ? config.position : { x:0, y:0 };
-        const padding = (config.padding!==undefined) ? config.padding : (this.config.body.padding!==undefined) ? this.config.body.padding : 10;
-        const paddingTop = (config.paddingTop!==undefined) ? config.paddingTop : padding;
-        const paddingLeft = (config.paddingLeft!==undefined) ? config.paddingLeft : padding;
-        const paddingBottom = (config.paddingBottom!==undefined) ? config.paddingBottom : padding;
-        const paddingRight = (config.paddingRight!==undefined) ? config.paddingRight : padding;
-        const rect = { x:pos.x+paddingLeft, y:pos.y+paddingTop, width: width - paddingLeft - paddingRight, height: height - paddingTop - paddingBottom };
-        const textAlign = (config.textAlign !== undefined) ? config.textAlign : (this.config.body.textAlign !== undefined) ? this.config.body.textAlign : "left";
+    //Padding of an element, containers have none unless it is set
+    getPadding( config ){
+        const fallback = (config.type === 'container' || CanvasUI.Widgets.includes( config.type )) ? 0 : (this.config.body.padding!==undefined) ? this.config.body.padding : 10;
+        const padding = (config.padding!==undefined) ? config.padding : fallback;
+        return {
+            top: (config.paddingTop!==undefined) ? config.paddingTop : padding,
+            left: (config.paddingLeft!==undefined) ? config.paddingLeft : padding,
+            bottom: (config.paddingBottom!==undefined) ? config.paddingBottom : padding,
+            right: (config.paddingRight!==undefined) ? config.paddingRight : padding
+        };
+    }
+    
+    //Sets the context font for an element and returns the size and line height
+    setFont( config ){
         const fontSize = (config.fontSize !== undefined ) ? config.fontSize : ( this.config.body.fontSize !== undefined) ? this.config.body.fontSize : 30;
         const fontFamily = (config.fontFamily!==undefined) ? config.fontFamily : (this.config.body.fontFamily!==undefined) ? this.config.body.fontFamily : 'Arial';
         const leading = (config.leading !== undefined) ? config.leading : (this.config.body.leading !== undefined) ? this.config.body.leading : 8;
-		const lineHeight = fontSize + leading;
-        
+        this.context.font = `${fontSize}px '${fontFamily}'`;
+        return { fontSize, fontFamily, leading, lineHeight: fontSize + leading };
+    }
+    
+    //Parsed markup of an element, kept until its text changes
+    getRichText( config, txt ){
+        if ( config.richText === undefined || config.richText.source !== txt ) config.richText = new RichText( txt );
+        return config.richText;
+    }
+    
+    //Splits txt into lines no wider than width using the current context font
+    getLines( txt, width ){
         const context = this.context;
+        const words = txt.split(' ');
+        const lines = [];
+        let line = '';
         
-        context.textAlign = textAlign;
-        
-		context.font = `${fontSize}px '${fontFamily}'`;
-		
         words.forEach( function(word){
-			let testLine = (words.length>1) ? `${line}${word} ` : word;
-        	let metrics = context.measureText(testLine);
-        	if (metrics.width > rect.width && word.length>1) {
-                if (line.length==0 && metrics.width > rect.width){
+            let testLine = (words.length>1) ? `${line}${word} ` : word;
+            let metrics = context.measureText(testLine);
+            if (metrics.width > width && word.length>1) {
+                if (line.length==0 && metrics.width > width){
                     //word too long
-                    while(metrics.width > rect.width){
+                    while(metrics.width > width){
                         let count = 0;
                         do{
                             count++
                             testLine = word.substr(0, count);
                             metrics = context.measureText(testLine);
-                        }while(metrics.width < rect.width && count < (word.length-1));
+                        }while(metrics.width < width && count < (word.length-1));
                         count--;
                         testLine = word.substr(0, count);
                         lines.push( testLine );
@@ -680,22 +1806,53 @@ class CanvasUI{
                     }
                     if (word != "") lines.push(word);
                 }else{
-				    lines.push(line);
-				    line = `${word} `;
+                    lines.push(line);
+                    line = `${word} `;
                 }
-			}else {
-				line = testLine;
-			}
-		});
-		
-		if (line != '') lines.push(line);
+            }else {
+                line = testLine;
+            }
+        });
+        
+        if (line != '') lines.push(line);
         
-        const textHeight = lines.length * lineHeight;
+        return lines;
+    }
+    
+	wrapText(name, txt){
+        //console.log( `wrapText: ${name}:${txt}`);
+        const config = (this.config[name]!==undefined) ? this.config[name] : this.config.body;
+        const width = (config.width!==undefined) ? config.width : this.config.width;
+        const height = (config.height!==undefined) ? config.height : this.config.height;
+        const pos = (config.position!==undefined) ? config.position : { x:0, y:0 };
+        const padding = this.getPadding( config );
+        const rect = { x:pos.x+padding.left, y:pos.y+padding.top, width: width - padding.left - padding.right, height: height - padding.top - padding.bottom };
+        const textAlign = (config.textAlign !== undefined) ? config.textAlign : (this.config.body.textAlign !== undefined) ? this.config.body.textAlign : "left";
+        
+        const context = this.context;
+        
+        context.textAlign = textAlign;
+        
+        const style = this.setFont( config );
+        const { fontSize, lineHeight } = style;
+        
+        let lines, textHeight;
+        
+        if ( config.markup ){
+            lines = this.getRichText( config, txt ).layout( context, rect.width, style );
+            textHeight = lines.height;
+        }else{
+            lines = this.getLines( txt, rect.width );
+            textHeight = lines.length * lineHeight;
+        }
         let scrollY = 0;
         
         if (textHeight>rect.height && config.overflow === 'scroll'){
             //Show a scroll bar
             if ( config.scrollY === undefined ) config.scrollY = 0;
+            config.minScrollY = rect.height - textHeight;
+            //Shorter content or a taller element leaves less to scroll
+            config.scrollY = Math.max( config.scrollY, config.minScrollY );
             const fontColor = ( config.fontColor !== undefined ) ? config.fontColor : this.config.body.fontColor;
             context.fillStyle = "#aaa";
             this.fillRoundedRect( pos.x + width - 12, pos.y, 12, height, 6 );
@@ -706,7 +1863,11 @@ class CanvasUI{
             this.fillRoundedRect( pos.x + width - 12, pos.y + thumbY, 12, thumbHeight, 6);
             context.fillStyle = fontColor;
             scrollY = config.scrollY;
-            config.minScrollY = rect.height - textHeight;
+        }
+        
+        if ( config.markup ){
+            config.richText.draw( context, lines.lines, rect.x, scrollY + rect.y, rect.width, textAlign );
+            return;
         }
 		
 		let y = scrollY + rect.y + fontSize/2;
@@ -0,0 +1,77 @@
+import { Mesh,
+        PlaneGeometry,
+        ShaderMaterial
+       } from './three/three.module.js';
+
+/*Darkens the edge of the view while the user is moved or smoothly turned, a narrower view
+of the motion makes smooth locomotion less likely to cause sickness
+options:
+enabled: false to never show it
+inner, outer: angles in degrees from the centre of the view where the darkening starts and becomes solid
+fadeTime: seconds to fade in and out
+*/
+class ComfortVignette{
+    constructor( camera, options = {} ){
+        if ( camera === undefined ){
+            console.warn( 'ComfortVignette needs the camera passing to the constructor');
+            return;
+        }
+
+        this.enabled = ( options.enabled !== undefined ) ? options.enabled : true;
+        this.fadeTime = ( options.fadeTime !== undefined ) ? options.fadeTime : 0.25;
+        const inner = ( options.inner !== undefined ) ? options.inner : 30;
+        const outer = ( options.outer !== undefined ) ? options.outer : 50;
+
+        //The angle from the view direction is worked out per pixel so the edge stays round for both eyes
+        const material = new ShaderMaterial( {
+            uniforms: {
+                inner: { value: inner * Math.PI / 180 },
+                outer: { value: outer * Math.PI / 180 },
+                strength: { value: 0 }
+            },
+            vertexShader: `
+                varying vec3 vPosition;
+                void main(){
+                    vec4 position = modelViewMatrix * vec4( position, 1.0 );
+                    vPosition = position.xyz;
+                    gl_Position = projectionMatrix * position;
+                }`,
+            fragmentShader: `
+                uniform float inner;
+                uniform float outer;
+                uniform float strength;
+                varying vec3 vPosition;
+                void main(){
+                    float angle = atan( length( vPosition.xy ), -vPosition.z );
+                    gl_FragColor = vec4( 0.0, 0.0, 0.0, smoothstep( inner, outer, angle ) * strength );
+                }`,
+            transparent: true,
+            depthTest: false,
+            depthWrite: false
+        });
+
+        //Wide enough to fill a headset's field of view
+        this.mesh = new Mesh( new PlaneGeometry( 2, 2 ), material );
+        this.mesh.position.set( 0, 0, -0.2 );
+        this.mesh.renderOrder = 998;
+        this.mesh.frustumCulled = false;
+        this.mesh.visible = false;
+        camera.add( this.mesh );
+    }
+
+    get strength(){
+        return this.mesh.material.uniforms.strength.value;
+    }
+
+    //Call every frame, active is true while the user is being moved or turned
+    update( dt, active ){
+        const target = ( active && this.enabled ) ? 1 : 0;
+        const step = ( this.fadeTime > 0 ) ? dt / this.fadeTime : 1;
+        let strength = this.strength;
+        strength = ( target > strength ) ? Math.min( strength + step, target ) : Math.max( strength - step, target );
+        this.mesh.material.uniforms.strength.value = strength;
+        this.mesh.visible = ( strength > 0 );
+    }
+}
+
+export { ComfortVignette };
@@ -0,0 +1,229 @@
+import { Vector2, Vector3, Euler } from './three/three.module.js';
+
+/*Non-XR navigation for desktop and mobile
+keyboard: WASD or arrow keys to walk, Q/E to strafe when using the arrow keys
+mouse: click the canvas to lock the pointer, then move the mouse to look around, clicks and touches
+that have had preventDefault called, such as those on a CanvasUI panel, are left alone
+touch: drag the joystick on the left of the screen to walk, swipe anywhere else to look
+The controls only set the dolly yaw and camera pitch. Movement is reported through
+direction/moving so the App can pass it to moveDolly and keep the same collisions
+as the headset users.
+*/
+class DesktopControls{
+    constructor( dolly, camera, domElement ){
+        if ( dolly === undefined || camera === undefined ){
+            console.warn( 'DesktopControls needs the dolly and camera passing to the constructor');
+            return;
+        }
+
+        this.dolly = dolly;
+        this.camera = camera;
+        this.domElement = ( domElement !== undefined ) ? domElement : document.body;
+
+        this.enabled = true;
+        this.lookSpeed = 0.002;
+        this.touchLookSpeed = 0.005;
+        //Radians per second while an arrow key is held
+        this.turnSpeed = 1.8;
+        this.maxPitch = Math.PI * 0.45;
+
+        this.euler = new Euler( 0, 0, 0, 'YXZ' );
+        this.yaw = this.euler.setFromQuaternion( dolly.quaternion ).y;
+        this.pitch = 0;
+
+        this.keys = {};
+        this.direction = new Vector3();
+        this.joystick = new Vector2();
+        this.joystickRadius = 50;
+        this.touches = {};
+
+        this.onKeyDown = this.onKeyDown.bind( this );
+        this.onKeyUp = this.onKeyUp.bind( this );
+        this.onClick = this.onClick.bind( this );
+        this.onMouseMove = this.onMouseMove.bind( this );
+        this.onTouchStart = this.onTouchStart.bind( this );
+        this.onTouchMove = this.onTouchMove.bind( this );
+        this.onTouchEnd = this.onTouchEnd.bind( this );
+
+        document.addEventListener( 'keydown', this.onKeyDown );
+        document.addEventListener( 'keyup', this.onKeyUp );
+        document.addEventListener( 'mousemove', this.onMouseMove );
+        this.domElement.addEventListener( 'click', this.onClick );
+
+        if ( this.isTouchDevice ){
+            this.createJoystick();
+            this.domElement.addEventListener( 'touchstart', this.onTouchStart, { passive: false } );
+            this.domElement.addEventListener( 'touchmove', this.onTouchMove, { passive: false } );
+            this.domElement.addEventListener( 'touchend', this.onTouchEnd );
+            this.domElement.addEventListener( 'touchcancel', this.onTouchEnd );
+        }
+    }
+
+    get isTouchDevice(){
+        return ( 'ontouchstart' in window ) || ( navigator.maxTouchPoints > 0 );
+    }
+
+    get pointerLocked(){
+        return ( document.pointerLockElement === this.domElement );
+    }
+
+    get moving(){
+        return this.enabled && this.direction.lengthSq() > 0;
+    }
+
+    createJoystick(){
+        const base = document.createElement( 'div' );
+        base.style.position = 'absolute';
+        base.style.left = '30px';
+        base.style.bottom = '90px';
+        base.style.width = `${this.joystickRadius * 2}px`;
+        base.style.height = `${this.joystickRadius * 2}px`;
+        base.style.borderRadius = '50%';
+        base.style.background = 'rgba(0,0,0,0.3)';
+        base.style.border = '2px solid #0ff';
+        base.style.zIndex = '998';
+        base.style.touchAction = 'none';
+
+        const knob = document.createElement( 'div' );
+        knob.style.position = 'absolute';
+        knob.style.left = `${this.joystickRadius - 20}px`;
+        knob.style.top = `${this.joystickRadius - 20}px`;
+        knob.style.width = '40px';
+        knob.style.height = '40px';
+        knob.style.borderRadius = '50%';
+        knob.style.background = 'rgba(0,255,255,0.7)';
+        base.appendChild( knob );
+
+        document.body.appendChild( base );
+
+        this.joystickElement = base;
+        this.knobElement = knob;
+
+        base.addEventListener( 'touchstart', this.onTouchStart, { passive: false } );
+        base.addEventListener( 'touchmove', this.onTouchMove, { passive: false } );
+        base.addEventListener( 'touchend', this.onTouchEnd );
+        base.addEventListener( 'touchcancel', this.onTouchEnd );
+    }
+
+    set visible( value ){
+        if ( this.joystickElement ) this.joystickElement.style.display = ( value ) ? 'block' : 'none';
+    }
+
+    onKeyDown( event ){
+        if ( !this.enabled ) return;
+        if ( event.target instanceof HTMLInputElement || event.target instanceof HTMLTextAreaElement ) return;
+        this.keys[ event.code ] = true;
+    }
+
+    onKeyUp( event ){
+        this.keys[ event.code ] = false;
+    }
+
+    //A click that something else in the scene used, such as a CanvasUI panel, has had preventDefault called
+    onClick( event ){
+        if ( !this.enabled || this.isTouchDevice || event.defaultPrevented ) return;
+        if ( !this.pointerLocked && this.domElement.requestPointerLock ) this.domElement.requestPointerLock();
+    }
+
+    onMouseMove( event ){
+        if ( !this.enabled || !this.pointerLocked ) return;
+        this.rotate( event.movementX * this.lookSpeed, event.movementY * this.lookSpeed );
+    }
+
+    onTouchStart( event ){
+        if ( !this.enabled || event.defaultPrevented ) return;
+        event.preventDefault();
+
+        const joystickTouch = ( event.currentTarget === this.joystickElement );
+
+        for( const touch of event.changedTouches ){
+            if ( this.touches[ touch.identifier ] !== undefined ) continue;
+            if ( joystickTouch ){
+                const rect = this.joystickElement.getBoundingClientRect();
+                this.touches[ touch.identifier ] = { type: 'joystick', x: rect.left + rect.width/2, y: rect.top + rect.height/2 };
+                this.updateJoystick( touch );
+            }else{
+                this.touches[ touch.identifier ] = { type: 'look', x: touch.clientX, y: touch.clientY };
+            }
+        }
+    }
+
+    onTouchMove( event ){
+        if ( !this.enabled ) return;
+        event.preventDefault();
+
+        for( const touch of event.changedTouches ){
+            const data = this.touches[ touch.identifier ];
+            if ( data === undefined ) continue;
+            if ( data.type == 'joystick' ){
+                this.updateJoystick( touch );
+            }else{
+                this.rotate( ( touch.clientX - data.x ) * this.touchLookSpeed, ( touch.clientY - data.y ) * this.touchLookSpeed );
+                data.x = touch.clientX;
+                data.y = touch.clientY;
+            }
+        }
+    }
+
+    onTouchEnd( event ){
+        for( const touch of event.changedTouches ){
+            const data = this.touches[ touch.identifier ];
+            if ( data === undefined ) continue;
+            if ( data.type == 'joystick' ){
+                this.joystick.set( 0, 0 );
+                this.knobElement.style.transform = '';
+            }
+            delete this.touches[ touch.identifier ];
+        }
+    }
+
+    updateJoystick( touch ){
+        const data = this.touches[ touch.identifier ];
+        this.joystick.set( touch.clientX - data.x, touch.clientY - data.y );
+        if ( this.joystick.length() > this.joystickRadius ) this.joystick.setLength( this.joystickRadius );
+        this.knobElement.style.transform = `translate(${this.joystick.x}px, ${this.joystick.y}px)`;
+        this.joystick.divideScalar( this.joystickRadius );
+    }
+
+    rotate( yaw, pitch ){
+        this.yaw -= yaw;
+        this.pitch -= pitch;
+        this.pitch = Math.max( -this.maxPitch, Math.min( this.maxPitch, this.pitch ) );
+    }
+
+    reset(){
+        this.keys = {};
+        this.touches = {};
+        this.joystick.set( 0, 0 );
+        this.direction.set( 0, 0, 0 );
+        //Read the yaw back from the quaternion, the dolly may have been turned in XR
+        this.yaw = this.euler.setFromQuaternion( this.dolly.quaternion ).y;
+        this.pitch = 0;
+        if ( this.knobElement ) this.knobElement.style.transform = '';
+    }
+
+    //dt is the seconds since the last frame
+    update( dt ){
+        this.direction.set( 0, 0, 0 );
+
+        if ( !this.enabled ) return;
+
+        const keys = this.keys;
+        if ( keys.KeyW || keys.ArrowUp ) this.direction.z -= 1;
+        if ( keys.KeyS || keys.ArrowDown ) this.direction.z += 1;
+        if ( keys.KeyA || keys.KeyQ ) this.direction.x -= 1;
+        if ( keys.KeyD || keys.KeyE ) this.direction.x += 1;
+        if ( keys.ArrowLeft ) this.yaw += this.turnSpeed * dt;
+        if ( keys.ArrowRight ) this.yaw -= this.turnSpeed * dt;
+
+        this.direction.x += this.joystick.x;
+        this.direction.z += this.joystick.y;
+
+        if ( this.direction.lengthSq() > 1 ) this.direction.normalize();
+
+        this.dolly.rotation.set( 0, this.yaw, 0 );
+        this.camera.rotation.set( this.pitch, 0, 0 );
+    }
+}
+
+export { DesktopControls };
@@ -0,0 +1,419 @@
+import { Box3, Object3D, Vector3 } from './three/three.module.js';
+
+/*Hotspot data file, see college.json
+{
+    version: 1,
+    hotspots: {
+        id: {
+            target: object name in the model, defaults to the id
+            name: board title
+            info: board text, can use the markup in RichText.js for bold, lists, colours and icons
+            category: string used to group hotspots
+            radius: metres from the target that shows the board
+            board: {
+                anchor: origin | center | top - point on the target the offset is added to
+                offset: [x, y, z] metres
+                facing: camera | yaw | fixed
+                rotation: [x, y, z] degrees, only used when facing is fixed
+            }
+            image: url shown beside the info text
+            details: longer text with the same markup, shown on a More details page of the board
+            links: [ hotspot ids ]
+        }
+    },
+    anchors: {
+        id: one of
+            { type: midpoint, nodes: [ two object names ] }
+            { type: centroid, nodes: [ object names ] } - average world position of the nodes
+            { type: node, node: object name, offset: [x, y, z] }
+            { type: position, position: [x, y, z] } - world coordinates
+    },
+    tours: {
+        id: {
+            name: title shown on the board
+            stops: [ { hotspot: hotspot id, dwell: seconds to stay, audio: optional narration url } ]
+        }
+    }
+}
+The optional audio section is passed as it is to AudioManager.configure, see AudioManager.js.
+Anchors are added to the model as empty objects named by their id, so a hotspot can use one as its target.
+A file without a version that maps object names to { name, info } is upgraded with a warning.
+*/
+class HotspotData{
+    static VERSION = 1;
+
+    static Anchors = [ 'origin', 'center', 'top' ];
+
+    static Facing = [ 'camera', 'yaw', 'fixed' ];
+
+    static AnchorTypes = [ 'midpoint', 'centroid', 'node', 'position' ];
+
+    static Defaults = {
+        category: 'general',
+        radius: 3,
+        board: { anchor: 'origin', offset: [ 0, 1.3, 0 ], facing: 'camera', rotation: [ 0, 0, 0 ] }
+    };
+
+    constructor( json ){
+        this.errors = [];
+        this.warnings = [];
+        this.hotspots = {};
+        this.anchors = {};
+        this.tours = {};
+        this.audio = undefined;
+
+        if ( json === undefined || json === null || typeof json !== 'object' ){
+            this.error( 'the file is not a JSON object' );
+            return;
+        }
+
+        if ( json.version === undefined ){
+            json = this.upgrade( json );
+        }else if ( json.version !== HotspotData.VERSION ){
+            this.error( `unsupported version ${json.version}, expected ${HotspotData.VERSION}` );
+            return;
+        }
+
+        if ( json.hotspots === undefined || typeof json.hotspots !== 'object' ){
+            this.error( 'missing hotspots object' );
+            return;
+        }
+
+        Object.entries( json.hotspots ).forEach( ( [ id, value ] ) => {
+            const hotspot = this.parseHotspot( id, value );
+            if ( hotspot !== undefined ) this.hotspots[ id ] = hotspot;
+        });
+
+        if ( json.anchors !== undefined ){
+            if ( typeof json.anchors !== 'object' ){
+                this.error( 'anchors must be an object' );
+            }else{
+                Object.entries( json.anchors ).forEach( ( [ id, value ] ) => {
+                    const anchor = this.parseAnchor( id, value );
+                    if ( anchor !== undefined ) this.anchors[ id ] = anchor;
+                });
+            }
+        }
+
+        if ( json.tours !== undefined ){
+            if ( typeof json.tours !== 'object' ){
+                this.error( 'tours must be an object' );
+            }else{
+                Object.entries( json.tours ).forEach( ( [ id, value ] ) => {
+                    const tour = this.parseTour( id, value );
+                    if ( tour !== undefined ) this.tours[ id ] = tour;
+                });
+            }
+        }
+
+        if ( json.audio !== undefined ){
+            if ( typeof json.audio !== 'object' ){
+                this.error( 'audio must be an object' );
+            }else{
+                this.audio = json.audio;
+            }
+        }
+
+        Object.values( this.hotspots ).forEach( ( hotspot ) => {
+            hotspot.links = hotspot.links.filter( ( link ) => {
+                if ( this.hotspots[ link ] === undefined ){
+                    this.warn( `${hotspot.id} links to unknown hotspot ${link}` );
+                    return false;
+                }
+                return true;
+            });
+        });
+    }
+
+    //manager is an optional THREE.LoadingManager that counts the file
+    static load( url, manager ){
+        if ( manager !== undefined ) manager.itemStart( url );
+
+        return fetch( url )
+            .then( response => {
+                if ( !response.ok ) throw new Error( `${url} ${response.status} ${response.statusText}` );
+                return response.json();
+            })
+            .then( obj => {
+                const data = new HotspotData( obj );
+                data.errors.forEach( msg => console.error( msg ) );
+                data.warnings.forEach( msg => console.warn( msg ) );
+                return data;
+            })
+            .then( result => {
+                if ( manager !== undefined ) manager.itemEnd( url );
+                return result;
+            }, err => {
+                if ( manager !== undefined ){
+                    manager.itemError( url );
+                    manager.itemEnd( url );
+                }
+                throw err;
+            });
+    }
+
+    error( msg ){
+        this.errors.push( `HotspotData: ${msg}` );
+    }
+
+    warn( msg ){
+        this.warnings.push( `HotspotData: ${msg}` );
+    }
+
+    upgrade( json ){
+        this.warn( 'no version found, reading the file as a legacy name/info map' );
+        return { version: HotspotData.VERSION, hotspots: json };
+    }
+
+    isVector( value ){
+        return Array.isArray( value ) && value.length == 3 && value.every( v => typeof v === 'number' );
+    }
+
+    parseHotspot( id, value ){
+        if ( value === null || typeof value !== 'object' ){
+            this.error( `hotspot ${id} is not an object` );
+            return;
+        }
+        if ( typeof value.name !== 'string' || typeof value.info !== 'string' ){
+            this.error( `hotspot ${id} needs a name and info string` );
+            return;
+        }
+
+        const defaults = HotspotData.Defaults;
+        const board = Object.assign( {}, defaults.board, value.board );
+
+        const hotspot = {
+            id,
+            target: ( value.target !== undefined ) ? value.target : id,
+            name: value.name,
+            info: value.info,
+            category: ( value.category !== undefined ) ? value.category : defaults.category,
+            radius: ( value.radius !== undefined ) ? value.radius : defaults.radius,
+            image: value.image,
+            details: value.details,
+            links: ( value.links !== undefined ) ? value.links : [],
+            board
+        };
+
+        if ( typeof hotspot.target !== 'string' ){
+            this.error( `hotspot ${id} target must be an object name` );
+            return;
+        }
+        if ( typeof hotspot.radius !== 'number' || hotspot.radius <= 0 ){
+            this.warn( `hotspot ${id} radius must be a positive number, using ${defaults.radius}` );
+            hotspot.radius = defaults.radius;
+        }
+        if ( hotspot.image !== undefined && typeof hotspot.image !== 'string' ){
+            this.warn( `hotspot ${id} image must be a url, ignoring it` );
+            hotspot.image = undefined;
+        }
+        if ( hotspot.details !== undefined && typeof hotspot.details !== 'string' ){
+            this.warn( `hotspot ${id} details must be a string, ignoring them` );
+            hotspot.details = undefined;
+        }
+        if ( !Array.isArray( hotspot.links ) ){
+            this.warn( `hotspot ${id} links must be an array of hotspot ids` );
+            hotspot.links = [];
+        }
+        if ( !HotspotData.Anchors.includes( board.anchor ) ){
+            this.warn( `hotspot ${id} unknown board anchor ${board.anchor}, using ${defaults.board.anchor}` );
+            board.anchor = defaults.board.anchor;
+        }
+        if ( !HotspotData.Facing.includes( board.facing ) ){
+            this.warn( `hotspot ${id} unknown board facing ${board.facing}, using ${defaults.board.facing}` );
+            board.facing = defaults.board.facing;
+        }
+        if ( !this.isVector( board.offset ) ){
+            this.warn( `hotspot ${id} board offset must be [x, y, z]` );
+            board.offset = defaults.board.offset;
+        }
+        if ( !this.isVector( board.rotation ) ){
+            this.warn( `hotspot ${id} board rotation must be [x, y, z]` );
+            board.rotation = defaults.board.rotation;
+        }
+
+        return hotspot;
+    }
+
+    parseAnchor( id, value ){
+        if ( value === null || typeof value !== 'object' ){
+            this.error( `anchor ${id} is not an object` );
+            return;
+        }
+
+        const anchor = { id, type: value.type };
+
+        switch( value.type ){
+            case 'midpoint':
+                if ( !Array.isArray( value.nodes ) || value.nodes.length != 2 || !value.nodes.every( node => typeof node === 'string' ) ){
+                    this.error( `anchor ${id} needs a nodes array of two object names` );
+                    return;
+                }
+                anchor.nodes = value.nodes;
+                break;
+            case 'centroid':
+                if ( !Array.isArray( value.nodes ) || value.nodes.length == 0 || !value.nodes.every( node => typeof node === 'string' ) ){
+                    this.error( `anchor ${id} needs a nodes array of object names` );
+                    return;
+                }
+                anchor.nodes = value.nodes;
+                break;
+            case 'node':
+                if ( typeof value.node !== 'string' ){
+                    this.error( `anchor ${id} needs a node name` );
+                    return;
+                }
+                anchor.node = value.node;
+                anchor.offset = ( value.offset !== undefined ) ? value.offset : [ 0, 0, 0 ];
+                if ( !this.isVector( anchor.offset ) ){
+                    this.error( `anchor ${id} offset must be [x, y, z]` );
+                    return;
+                }
+                break;
+            case 'position':
+                if ( !this.isVector( value.position ) ){
+                    this.error( `anchor ${id} position must be [x, y, z]` );
+                    return;
+                }
+                anchor.position = value.position;
+                break;
+            default:
+                this.error( `anchor ${id} unknown type ${value.type}, expected ${HotspotData.AnchorTypes.join( ', ' )}` );
+                return;
+        }
+
+        return anchor;
+    }
+
+    parseTour( id, value ){
+        if ( value === null || typeof value !== 'object' || !Array.isArray( value.stops ) ){
+            this.error( `tour ${id} needs a stops array` );
+            return;
+        }
+
+        const stops = [];
+
+        value.stops.forEach( ( stop, index ) => {
+            if ( stop === null || typeof stop !== 'object' || this.hotspots[ stop.hotspot ] === undefined ){
+                this.warn( `tour ${id} stop ${index} does not name a known hotspot, skipping it` );
+                return;
+            }
+            const dwell = ( typeof stop.dwell === 'number' && stop.dwell >= 0 ) ? stop.dwell : 10;
+            if ( stop.audio !== undefined && typeof stop.audio !== 'string' ){
+                this.warn( `tour ${id} stop ${index} audio must be a url, ignoring it` );
+            }
+            stops.push( { hotspot: this.hotspots[ stop.hotspot ], dwell, audio: ( typeof stop.audio === 'string' ) ? stop.audio : undefined } );
+        });
+
+        if ( stops.length == 0 ){
+            this.error( `tour ${id} has no valid stops` );
+            return;
+        }
+
+        return { id, name: ( typeof value.name === 'string' ) ? value.name : id, stops };
+    }
+
+    //Adds an empty object to root for each anchor, returns the ids that could not be built
+    buildAnchors( root ){
+        const failed = [];
+
+        root.updateMatrixWorld( true );
+
+        Object.values( this.anchors ).forEach( ( anchor ) => {
+            if ( anchor.object !== undefined ) return;
+
+            const pos = new Vector3();
+            const missing = [];
+
+            switch( anchor.type ){
+                case 'midpoint':
+                case 'centroid':
+                    anchor.nodes.forEach( name => {
+                        const node = root.getObjectByName( name );
+                        if ( node === undefined ){
+                            missing.push( name );
+                        }else{
+                            pos.add( node.getWorldPosition( new Vector3() ) );
+                        }
+                    });
+                    pos.divideScalar( anchor.nodes.length );
+                    break;
+                case 'node':{
+                    const node = root.getObjectByName( anchor.node );
+                    if ( node === undefined ){
+                        missing.push( anchor.node );
+                    }else{
+                        node.getWorldPosition( pos ).add( new Vector3().fromArray( anchor.offset ) );
+                    }
+                    break;
+                }
+                case 'position':
+                    pos.fromArray( anchor.position );
+                    break;
+            }
+
+            if ( missing.length > 0 ){
+                console.warn( `HotspotData: anchor ${anchor.id} nodes not found in the model: ${missing.join( ', ' )}` );
+                failed.push( anchor.id );
+                return;
+            }
+
+            const obj = new Object3D();
+            obj.name = anchor.id;
+            obj.position.copy( root.worldToLocal( pos ) );
+            root.add( obj );
+            anchor.object = obj;
+        });
+
+        return failed;
+    }
+
+    get list(){
+        return Object.values( this.hotspots );
+    }
+
+    get( id ){
+        return this.hotspots[ id ];
+    }
+
+    //Links each hotspot to its object in the loaded model and returns the ids whose target was not found
+    resolve( root ){
+        const missing = [];
+        const names = [];
+
+        root.traverse( child => {
+            if ( child.name ) names.push( child.name );
+        });
+
+        this.list.forEach( ( hotspot ) => {
+            hotspot.object = root.getObjectByName( hotspot.target );
+            if ( hotspot.object === undefined ){
+                missing.push( hotspot.id );
+                const lower = hotspot.target.toLowerCase();
+                const similar = names.filter( name => name.toLowerCase().includes( lower ) || lower.includes( name.toLowerCase() ) );
+                const hint = ( similar.length > 0 ) ? ` did you mean ${similar.slice( 0, 3 ).join( ', ' )}?` : '';
+                console.warn( `HotspotData: hotspot ${hotspot.id} target ${hotspot.target} not found in the model.${hint}` );
+            }
+        });
+
+        return missing;
+    }
+
+    //World position of the board for a hotspot, the anchor point on the target plus the offset
+    getBoardPosition( hotspot, target = new Vector3() ){
+        const obj = hotspot.object;
+        const board = hotspot.board;
+
+        if ( board.anchor == 'origin' ){
+            obj.getWorldPosition( target );
+        }else{
+            const box = new Box3().setFromObject( obj );
+            box.getCenter( target );
+            if ( board.anchor == 'top' ) target.y = box.max.y;
+        }
+
+        return target.add( new Vector3().fromArray( board.offset ) );
+    }
+}
+
+export { HotspotData };
@@ -0,0 +1,442 @@
+import { Mesh,
+        SphereGeometry,
+        ShaderMaterial,
+        PMREMGenerator,
+        UnsignedByteType,
+        Color,
+        BackSide,
+        MathUtils,
+        NoToneMapping,
+        LinearToneMapping,
+        ReinhardToneMapping,
+        CineonToneMapping,
+        ACESFilmicToneMapping
+       } from './three/three.module.js';
+import { RGBELoader } from './three/jsm/RGBELoader.js';
+
+/*Lighting presets, each pairs an HDR with the hemisphere light and tone mapping
+preset: {
+    name: shown on the menu
+    hdr: url of the equirectangular HDR
+    sky, ground: hemisphere light colours
+    intensity: hemisphere light intensity
+    exposure: renderer tone mapping exposure
+    toneMapping: none | linear | reinhard | cineon | aces
+}
+The background is a sphere that mixes the old and new HDR so a change of preset fades
+rather than pops. The environment map and tone mapping can't be blended, they switch
+half way through the fade. Time of day bypasses the fade and mixes two presets with blend.
+When no HDR can be loaded showColor lights the scene against a plain colour instead.
+options:
+presets: extra presets or overrides of the built in ones, keyed by id
+duration: seconds to crossfade between presets
+manager: THREE.LoadingManager for the HDRs
+maxSize: HDRs wider than this many pixels are scaled down when they load
+background: false to light the scene with the HDR without showing it
+onChange( id, preset ): called when a preset starts fading in
+*/
+class LightingManager{
+    static Presets = {
+        night: { name: 'Night', hdr: './assets/hdr/cobblestone_street_night_1k.hdr', sky: 0x8090c0, ground: 0x202028, intensity: 0.5, exposure: 0.8, toneMapping: 'aces' },
+        sunrise: { name: 'Sunrise', hdr: './assets/hdr/klippad_sunrise_2_1k.hdr', sky: 0xffd0a0, ground: 0x706050, intensity: 0.8, exposure: 1, toneMapping: 'aces' },
+        sunset: { name: 'Sunset', hdr: './assets/hdr/venice_sunset_1k.hdr', sky: 0xffb070, ground: 0x605040, intensity: 0.8, exposure: 0.9, toneMapping: 'aces' }
+    };
+
+    static ToneMappings = {
+        none: NoToneMapping,
+        linear: LinearToneMapping,
+        reinhard: ReinhardToneMapping,
+        cineon: CineonToneMapping,
+        aces: ACESFilmicToneMapping
+    };
+
+    constructor( renderer, scene, light, options = {} ){
+        if ( renderer === undefined || scene === undefined || light === undefined ){
+            console.warn( 'LightingManager needs a THREE.WebGLRenderer, THREE.Scene and THREE.HemisphereLight instance passing to the constructor');
+            return;
+        }
+
+        this.renderer = renderer;
+        this.scene = scene;
+        this.light = light;
+        this.duration = ( options.duration !== undefined ) ? options.duration : 1.5;
+        this.maxSize = ( options.maxSize !== undefined ) ? options.maxSize : Infinity;
+        this.onChange = options.onChange;
+
+        this.presets = {};
+        Object.entries( LightingManager.Presets ).forEach( ( [ id, preset ] ) => this.addPreset( id, preset ) );
+        if ( options.presets !== undefined ){
+            Object.entries( options.presets ).forEach( ( [ id, preset ] ) => this.addPreset( id, preset ) );
+        }
+
+        this.loader = new RGBELoader( options.manager ).setDataType( UnsignedByteType );
+        this.pmremGenerator = new PMREMGenerator( renderer );
+        this.pmremGenerator.compileEquirectangularShader();
+
+        this.createBackground();
+        this.background = ( options.background !== undefined ) ? options.background : true;
+
+        this.fading = false;
+        this.elapsed = 0;
+        this.from = { sky: new Color(), ground: new Color(), intensity: 0, exposure: 1 };
+        this.to = { sky: new Color(), ground: new Color(), intensity: 0, exposure: 1 };
+
+        //Presets kept loaded for blend, promises and resolved entries keyed by id
+        this.blendLoads = {};
+        this.blendEntries = {};
+        this.workingColor = new Color();
+        //Plain background used when no HDR can be loaded
+        this.fallbackColor = new Color();
+    }
+
+    //Missing values are taken from the night preset
+    addPreset( id, preset ){
+        const defaults = LightingManager.Presets.night;
+        const value = Object.assign( {}, defaults, { name: id }, preset );
+        if ( LightingManager.ToneMappings[ value.toneMapping ] === undefined ){
+            console.warn( `LightingManager: unknown tone mapping ${value.toneMapping} for preset ${id}, using aces` );
+            value.toneMapping = 'aces';
+        }
+        this.presets[ id ] = value;
+    }
+
+    get list(){
+        return Object.entries( this.presets ).map( ( [ id, preset ] ) => ( { id, name: preset.name } ) );
+    }
+
+    get preset(){
+        return ( this.current !== undefined ) ? this.current.id : undefined;
+    }
+
+    set background( value ){
+        this.sky.visible = value;
+    }
+
+    get background(){
+        return this.sky.visible;
+    }
+
+    createBackground(){
+        const material = new ShaderMaterial( {
+            uniforms: {
+                tFrom: { value: null },
+                tTo: { value: null },
+                mixRatio: { value: 0 }
+            },
+            vertexShader: `
+                varying vec3 vWorldDirection;
+                #include <common>
+                void main(){
+                    vWorldDirection = transformDirection( position, modelMatrix );
+                    gl_Position = projectionMatrix * modelViewMatrix * vec4( position, 1.0 );
+                }
+            `,
+            fragmentShader: `
+                uniform sampler2D tFrom;
+                uniform sampler2D tTo;
+                uniform float mixRatio;
+                varying vec3 vWorldDirection;
+                #include <common>
+                void main(){
+                    vec2 uv = equirectUv( normalize( vWorldDirection ) );
+                    vec3 from = RGBEToLinear( texture2D( tFrom, uv ) ).rgb;
+                    vec3 to = RGBEToLinear( texture2D( tTo, uv ) ).rgb;
+                    gl_FragColor = vec4( mix( from, to, mixRatio ), 1.0 );
+                    #include <tonemapping_fragment>
+                    #include <encodings_fragment>
+                }
+            `,
+            side: BackSide,
+            depthWrite: false,
+            fog: false
+        } );
+
+        //Inside the camera far plane, centred on whichever camera is rendering
+        this.sky = new Mesh( new SphereGeometry( 400, 32, 16 ), material );
+        this.sky.renderOrder = -1;
+        this.sky.frustumCulled = false;
+        this.sky.onBeforeRender = ( renderer, scene, camera ) => {
+            this.sky.position.setFromMatrixPosition( camera.matrixWorld );
+            this.sky.updateMatrixWorld();
+        };
+        this.uniforms = material.uniforms;
+        //Hidden until the first HDR arrives
+        this.sky.material.visible = false;
+        this.scene.add( this.sky );
+    }
+
+    //Lights the scene with the hemisphere light alone against a plain colour, for when every HDR fails
+    showColor( color, preset = LightingManager.Presets.night ){
+        this.pending = undefined;
+        this.fading = false;
+        if ( this.previous !== undefined ) this.disposeEntry( this.previous );
+        if ( this.current !== undefined ) this.disposeEntry( this.current );
+        this.previous = undefined;
+        this.current = undefined;
+        this.releaseBlend();
+
+        this.sky.material.visible = false;
+        this.scene.environment = null;
+        this.scene.background = this.fallbackColor.set( color );
+
+        this.light.color.set( preset.sky );
+        this.light.groundColor.set( preset.ground );
+        //Without an environment map the hemisphere light does all the work
+        this.light.intensity = Math.max( preset.intensity, 1 );
+        this.renderer.toneMappingExposure = preset.exposure;
+        this.setToneMapping( preset.toneMapping );
+    }
+
+    clearColor(){
+        if ( this.scene.background === this.fallbackColor ) this.scene.background = null;
+    }
+
+    load( url ){
+        const self = this;
+
+        return new Promise( ( resolve, reject ) => {
+            self.loader.load( url, ( texture ) => {
+                self.downsample( texture );
+                const renderTarget = self.pmremGenerator.fromEquirectangular( texture );
+                resolve( { texture, renderTarget } );
+            }, undefined, () => reject( new Error( `could not load ${url}` ) ) );
+        });
+    }
+
+    //Keeps every nth texel, RGBE bytes can't be averaged without decoding them
+    downsample( texture ){
+        const image = texture.image;
+        if ( image === undefined || image.data === undefined || image.width <= this.maxSize ) return;
+
+        const step = Math.ceil( image.width / this.maxSize );
+        const width = Math.floor( image.width / step );
+        const height = Math.floor( image.height / step );
+        const data = new image.data.constructor( width * height * 4 );
+
+        for( let y=0; y<height; y++ ){
+            for( let x=0; x<width; x++ ){
+                const from = ( y * step * image.width + x * step ) * 4;
+                const to = ( y * width + x ) * 4;
+                for( let c=0; c<4; c++ ) data[ to + c ] = image.data[ from + c ];
+            }
+        }
+
+        texture.image = { data, width, height };
+        texture.needsUpdate = true;
+    }
+
+    //Loads the HDRs in use again, such as after maxSize changes
+    refresh(){
+        const ids = Object.keys( this.blendLoads );
+
+        if ( ids.length > 0 ){
+            //The old blend stays on show until the caller blends the new one
+            const old = Object.values( this.blendEntries );
+            this.blendLoads = {};
+            this.blendEntries = {};
+            return this.loadBlend( ids ).then( ok => {
+                old.forEach( entry => this.disposeEntry( entry ) );
+                return ok;
+            });
+        }
+
+        if ( this.current !== undefined ) return this.setPreset( this.current.id, 0, true );
+
+        return Promise.resolve( false );
+    }
+
+    //Resolves true once the preset starts fading in, duration 0 switches at once, reload loads the current preset again
+    setPreset( id, duration = this.duration, reload = false ){
+        const preset = this.presets[ id ];
+
+        if ( preset === undefined ){
+            console.warn( `LightingManager.setPreset: no preset ${id}, choose from ${Object.keys( this.presets ).join( ', ' )}` );
+            return Promise.resolve( false );
+        }
+
+        if ( !reload && this.current !== undefined && this.current.id == id && this.pending === undefined ) return Promise.resolve( true );
+
+        this.pending = id;
+
+        const self = this;
+
+        return this.load( preset.hdr ).then( ( { texture, renderTarget } ) => {
+            //Another preset was chosen while this one loaded
+            if ( self.pending !== id ){
+                texture.dispose();
+                renderTarget.dispose();
+                return false;
+            }
+            self.pending = undefined;
+
+            //A fade still running is cut short
+            if ( self.previous !== undefined ){
+                self.scene.environment = self.current.renderTarget.texture;
+                self.disposeEntry( self.previous );
+            }
+
+            self.previous = self.current;
+            self.current = { id, preset, texture, renderTarget };
+
+            const light = self.light;
+            self.from.sky.copy( light.color );
+            self.from.ground.copy( light.groundColor );
+            self.from.intensity = light.intensity;
+            self.from.exposure = self.renderer.toneMappingExposure;
+            self.to.sky.set( preset.sky );
+            self.to.ground.set( preset.ground );
+            self.to.intensity = preset.intensity;
+            self.to.exposure = preset.exposure;
+
+            self.uniforms.tFrom.value = ( self.previous !== undefined ) ? self.previous.texture : texture;
+            self.uniforms.tTo.value = texture;
+            self.sky.material.visible = true;
+            self.clearColor();
+
+            self.fadeDuration = ( self.previous !== undefined ) ? duration : 0;
+            self.elapsed = 0;
+            self.fading = true;
+            self.update( 0 );
+
+            //Leaving time of day, the preset has replaced the blend
+            self.releaseBlend();
+
+            if ( self.onChange ) self.onChange( id, preset );
+
+            return true;
+        }).catch( err => {
+            if ( self.pending === id ) self.pending = undefined;
+            console.error( `LightingManager.setPreset: ${err.message}` );
+            return false;
+        });
+    }
+
+    //Loads presets so blend can mix them, resolves true when they are all ready
+    loadBlend( ids ){
+        const self = this;
+
+        const loads = ids.map( id => {
+            if ( self.blendLoads[ id ] !== undefined ) return self.blendLoads[ id ];
+            const preset = self.presets[ id ];
+            if ( preset === undefined ) return Promise.reject( new Error( `no preset ${id}` ) );
+            const promise = self.load( preset.hdr ).then( ( { texture, renderTarget } ) => {
+                const entry = { id, preset, texture, renderTarget };
+                //Released before it arrived
+                if ( self.blendLoads[ id ] !== promise ){
+                    self.disposeEntry( entry );
+                }else{
+                    self.blendEntries[ id ] = entry;
+                }
+                return entry;
+            });
+            self.blendLoads[ id ] = promise;
+            return promise;
+        });
+
+        return Promise.all( loads ).then( () => true ).catch( err => {
+            console.error( `LightingManager.loadBlend: ${err.message}` );
+            return false;
+        });
+    }
+
+    //Shows a mix of two presets loaded with loadBlend, ratio 0 is all of a and 1 all of b
+    blend( a, b, ratio ){
+        const from = this.blendEntries[ a ];
+        const to = this.blendEntries[ b ];
+        if ( from === undefined || to === undefined ) return;
+
+        //The blend replaces any preset, including one still loading
+        this.pending = undefined;
+        this.fading = false;
+        if ( this.previous !== undefined ) this.disposeEntry( this.previous );
+        if ( this.current !== undefined ) this.disposeEntry( this.current );
+        this.previous = undefined;
+        this.current = undefined;
+
+        this.uniforms.tFrom.value = from.texture;
+        this.uniforms.tTo.value = to.texture;
+        this.uniforms.mixRatio.value = ratio;
+        this.sky.material.visible = true;
+        this.clearColor();
+
+        const light = this.light;
+        light.color.set( from.preset.sky ).lerp( this.workingColor.set( to.preset.sky ), ratio );
+        light.groundColor.set( from.preset.ground ).lerp( this.workingColor.set( to.preset.ground ), ratio );
+        light.intensity = MathUtils.lerp( from.preset.intensity, to.preset.intensity, ratio );
+        this.renderer.toneMappingExposure = MathUtils.lerp( from.preset.exposure, to.preset.exposure, ratio );
+
+        const main = ( ratio < 0.5 ) ? from : to;
+        if ( this.scene.environment !== main.renderTarget.texture ){
+            this.scene.environment = main.renderTarget.texture;
+            this.setToneMapping( main.preset.toneMapping );
+        }
+    }
+
+    releaseBlend(){
+        Object.values( this.blendEntries ).forEach( entry => this.disposeEntry( entry ) );
+        this.blendLoads = {};
+        this.blendEntries = {};
+    }
+
+    disposeEntry( entry ){
+        entry.texture.dispose();
+        entry.renderTarget.dispose();
+    }
+
+    setToneMapping( value ){
+        const toneMapping = LightingManager.ToneMappings[ value ];
+        if ( this.renderer.toneMapping == toneMapping ) return;
+        this.renderer.toneMapping = toneMapping;
+        //Tone mapping is compiled into the shaders
+        this.scene.traverse( object => {
+            if ( object.material === undefined ) return;
+            const materials = Array.isArray( object.material ) ? object.material : [ object.material ];
+            materials.forEach( material => material.needsUpdate = true );
+        });
+    }
+
+    update( dt ){
+        if ( !this.fading ) return;
+
+        this.elapsed += dt;
+
+        const t = ( this.fadeDuration > 0 ) ? Math.min( this.elapsed / this.fadeDuration, 1 ) : 1;
+        const k = MathUtils.smoothstep( t, 0, 1 );
+
+        this.uniforms.mixRatio.value = k;
+        this.light.color.copy( this.from.sky ).lerp( this.to.sky, k );
+        this.light.groundColor.copy( this.from.ground ).lerp( this.to.ground, k );
+        this.light.intensity = MathUtils.lerp( this.from.intensity, this.to.intensity, k );
+        this.renderer.toneMappingExposure = MathUtils.lerp( this.from.exposure, this.to.exposure, k );
+
+        const current = this.current;
+
+        if ( t >= 0.5 && this.scene.environment !== current.renderTarget.texture ){
+            this.scene.environment = current.renderTarget.texture;
+            this.setToneMapping( current.preset.toneMapping );
+        }
+
+        if ( t >= 1 ){
+            this.fading = false;
+            if ( this.previous !== undefined ){
+                this.disposeEntry( this.previous );
+                this.previous = undefined;
+            }
+            this.uniforms.tFrom.value = current.texture;
+        }
+    }
+
+    dispose(){
+        if ( this.previous !== undefined ) this.disposeEntry( this.previous );
+        if ( this.current !== undefined ) this.disposeEntry( this.current );
+        this.previous = undefined;
+        this.current = undefined;
+        this.releaseBlend();
+        this.pmremGenerator.dispose();
+        this.scene.remove( this.sky );
+        this.sky.geometry.dispose();
+        this.sky.material.dispose();
+    }
+}
+
+export { LightingManager };
@@ -1,17 +1,49 @@
+/*Full screen loading overlay
+options:
+manager: THREE.LoadingManager, progress is aggregated across every file it loads
+background: css colour or image url shown behind the bar
+logo: image url shown above the bar
+title: text shown above the bar
+*/
 class LoadingBar{
-	constructor(options){
+	constructor(options = {}){
 		this.domElement = document.createElement("div");
 		this.domElement.style.position = 'fixed';
 		this.domElement.style.top = '0';
 		this.domElement.style.left = '0';
 		this.domElement.style.width = '100%';
 		this.domElement.style.height = '100%';
-		this.domElement.style.background = '#000';
-		this.domElement.style.opacity = '0.7';
+		this.domElement.style.background = 'rgba(0,0,0,0.7)';
+		this.domElement.style.backgroundSize = 'cover';
+		this.domElement.style.backgroundPosition = 'center';
 		this.domElement.style.display = 'flex';
+		this.domElement.style.flexDirection = 'column';
 		this.domElement.style.alignItems = 'center';
 		this.domElement.style.justifyContent = 'center';
+		this.domElement.style.fontFamily = 'Roboto, Arial, sans-serif';
+		this.domElement.style.color = '#fff';
 		this.domElement.style.zIndex = '1111';
+
+		const logo = document.createElement("img");
+		logo.style.maxWidth = '50%';
+		logo.style.maxHeight = '30%';
+		logo.style.marginBottom = '20px';
+		logo.style.display = 'none';
+		this.domElement.appendChild(logo);
+		this.logoElement = logo;
+
+		const title = document.createElement("div");
+		title.style.fontSize = '28px';
+		title.style.marginBottom = '20px';
+		this.domElement.appendChild(title);
+		this.titleElement = title;
+
+		const stage = document.createElement("div");
+		stage.style.fontSize = '18px';
+		stage.style.marginBottom = '10px';
+		this.domElement.appendChild(stage);
+		this.stageElement = stage;
+
 		const barBase = document.createElement("div");
 		barBase.style.background = '#aaa';
 		barBase.style.width = '50%';
@@ -19,28 +51,222 @@ class LoadingBar{
 		barBase.style.borderRadius = '10px';
 		barBase.style.height = '15px';
 		this.domElement.appendChild(barBase);
+		this.barBase = barBase;
 		const bar = document.createElement("div");
 		bar.style.background = '#22a';
-		bar.style.width = '50%';
 		bar.style.borderRadius = '10px';
 		bar.style.height = '100%';
 		bar.style.width = '0';
 		barBase.appendChild(bar);
 		this.progressBar = bar;
-		
+
+		const file = document.createElement("div");
+		file.style.fontSize = '14px';
+		file.style.marginTop = '10px';
+		file.style.opacity = '0.7';
+		this.domElement.appendChild(file);
+		this.fileElement = file;
+
+		const error = document.createElement("div");
+		error.style.fontSize = '16px';
+		error.style.marginTop = '20px';
+		error.style.color = '#f66';
+		error.style.maxWidth = '80%';
+		error.style.textAlign = 'center';
+		this.domElement.appendChild(error);
+		this.errorElement = error;
+
+		const errorUrl = document.createElement("div");
+		errorUrl.style.fontSize = '14px';
+		errorUrl.style.marginTop = '6px';
+		errorUrl.style.opacity = '0.7';
+		errorUrl.style.maxWidth = '80%';
+		errorUrl.style.wordBreak = 'break-all';
+		errorUrl.style.textAlign = 'center';
+		this.domElement.appendChild(errorUrl);
+		this.errorUrlElement = errorUrl;
+
+		const buttons = document.createElement("div");
+		buttons.style.marginTop = '10px';
+		//Still clickable when the compact strip lets clicks through to the scene
+		buttons.style.pointerEvents = 'auto';
+		this.domElement.appendChild(buttons);
+
+		this.retryButton = this.createButton( 'Retry', '#007bff' );
+		buttons.appendChild(this.retryButton);
+		this.continueButton = this.createButton( 'Continue anyway', '#555' );
+		buttons.appendChild(this.continueButton);
+
+		const self = this;
+
+		this.retryButton.addEventListener( 'click', () => {
+			const onRetry = self.onRetry;
+			self.clearError();
+			if (onRetry) onRetry();
+		});
+
+		this.continueButton.addEventListener( 'click', () => {
+			const onContinue = self.onContinue;
+			self.clearError();
+			self.visible = false;
+			if (onContinue) onContinue();
+		});
+
 		document.body.appendChild(this.domElement);
-		
-		function onprogress(delta){
-			const progress = delta*100;
-			loader.progressBar.style.width = `${progress}%`;
+
+		//Fraction loaded of files that report their own progress, keyed by url
+		this.partial = {};
+		this.loaded = 0;
+		this.total = 0;
+
+		this.brand( options );
+		if (options.manager !== undefined) this.track( options.manager );
+	}
+
+	createButton( text, background ){
+		const button = document.createElement("button");
+		button.textContent = text;
+		button.style.margin = '0 5px';
+		button.style.padding = '8px 24px';
+		button.style.fontSize = '16px';
+		button.style.border = 'none';
+		button.style.borderRadius = '8px';
+		button.style.background = background;
+		button.style.color = '#fff';
+		button.style.cursor = 'pointer';
+		button.style.display = 'none';
+		return button;
+	}
+
+	//Aggregates the progress of every file loaded through the manager
+	track( manager ){
+		const self = this;
+
+		manager.onStart = ( url, loaded, total ) => {
+			self.loaded = loaded;
+			self.total = total;
+			self.file = url;
+			self.update();
+		};
+
+		manager.onProgress = ( url, loaded, total ) => {
+			delete self.partial[ url ];
+			self.loaded = loaded;
+			self.total = total;
+			self.update();
+		};
+
+		manager.onError = ( url ) => {
+			delete self.partial[ url ];
+			console.warn( `LoadingBar: failed to load ${url}` );
+		};
+	}
+
+	//The manager only counts whole files, big ones report their bytes through here
+	itemProgress( url, fraction ){
+		if ( !isFinite( fraction ) ) return;
+		this.partial[ url ] = Math.min( Math.max( fraction, 0 ), 1 );
+		this.file = url;
+		this.update();
+	}
+
+	update(){
+		if (this.total == 0) return;
+		const partial = Object.values( this.partial ).reduce( ( sum, value ) => sum + value, 0 );
+		this.progress = ( this.loaded + partial ) / this.total;
+	}
+
+	brand( options ){
+		if (options.background !== undefined){
+			//A url is shown as an image, anything else as a colour
+			const isImage = /\.(png|jpe?g|webp|gif|svg)(\?.*)?$/i.test( options.background );
+			this.domElement.style.background = ( isImage ) ? `#000 url("${options.background}") center / cover no-repeat` : options.background;
+		}
+		if (options.logo !== undefined){
+			this.logoElement.src = options.logo;
+			this.logoElement.style.display = 'block';
 		}
+		if (options.title !== undefined) this.titleElement.textContent = options.title;
 	}
-	
+
 	set progress(delta){
-		const percent = delta*100;
+		const percent = Math.min( Math.max( delta, 0 ), 1 )*100;
 		this.progressBar.style.width = `${percent}%`;
 	}
-	
+
+	set stage(value){
+		this.stageElement.textContent = value;
+	}
+
+	set file(url){
+		const name = ( url !== undefined ) ? url.split( '?' )[0].split( '/' ).pop() : '';
+		this.fileElement.textContent = name;
+	}
+
+	/*Shows an error over the loading screen
+	options:
+	url: the file that failed
+	reason: why it failed, usually the error message
+	onRetry: shows a retry button, called after the error is cleared
+	onContinue: called when the overlay is dismissed, the continue button is always shown
+	compact: true for optional files, the error shows in the strip along the bottom and the scene
+	stays usable, an error already filling the screen stays that way
+	*/
+	showError( message, options = {} ){
+		const compact = options.compact === true && ( !this.hasError || this.compact );
+		this.visible = true;
+		this.compact = compact;
+		this.errorElement.textContent = ( options.reason !== undefined ) ? `${message}: ${options.reason}` : message;
+		this.errorUrlElement.textContent = ( options.url !== undefined ) ? options.url : '';
+		this.onRetry = options.onRetry;
+		this.onContinue = options.onContinue;
+		this.retryButton.style.display = ( options.onRetry !== undefined ) ? 'inline-block' : 'none';
+		this.continueButton.style.display = 'inline-block';
+	}
+
+	clearError(){
+		this.errorElement.textContent = '';
+		this.errorUrlElement.textContent = '';
+		this.onRetry = undefined;
+		this.onContinue = undefined;
+		this.retryButton.style.display = 'none';
+		this.continueButton.style.display = 'none';
+	}
+
+	get hasError(){
+		return this.errorElement.textContent !== '';
+	}
+
+	//A strip along the bottom that leaves the scene usable while the detail streams in
+	set compact(value){
+		const style = this.domElement.style;
+		this.isCompact = value;
+		if (value){
+			style.top = 'auto';
+			style.bottom = '0';
+			//Grows to fit an error and its buttons
+			style.height = 'auto';
+			style.minHeight = '70px';
+			style.padding = '10px 0';
+			style.pointerEvents = 'none';
+			this.logoElement.style.display = 'none';
+			this.titleElement.style.display = 'none';
+		}else{
+			style.top = '0';
+			style.bottom = 'auto';
+			style.height = '100%';
+			style.minHeight = '';
+			style.padding = '0';
+			style.pointerEvents = 'auto';
+			this.logoElement.style.display = ( this.logoElement.getAttribute( 'src' ) ) ? 'block' : 'none';
+			this.titleElement.style.display = 'block';
+		}
+	}
+
+	get compact(){
+		return this.isCompact === true;
+	}
+
 	set visible(value){
 		if (value){
 			this.domElement.style.display = 'flex';
@@ -50,4 +276,4 @@ class LoadingBar{
 	}
 }
 
-export { LoadingBar };
\ No newline at end of file
+export { LoadingBar };
@@ -0,0 +1,321 @@
+import { TextureLoader,
+        Box3,
+        Vector3,
+        ClampToEdgeWrapping,
+        sRGBEncoding,
+        MeshBasicMaterial,
+        MeshLambertMaterial,
+        MeshPhongMaterial,
+        MeshStandardMaterial,
+        MeshPhysicalMaterial
+       } from './three/three.module.js';
+
+/*Material rules, see materials.json
+{
+    version: 1,
+    rules: [ {
+        name: shown in warnings
+        match: { mesh: name, material: name }, either as an exact name or { regex: pattern, flags }
+        set: {
+            visible: bool
+            opacity: 0-1, below 1 makes the material transparent
+            color: hex
+            emissive: hex
+            emissiveIntensity: number
+            map: url of a texture
+            fit: stretch | cover - cover crops the map to keep its aspect on the mesh
+            material: { type: MeshStandardMaterial etc, then the material parameters } replaces the material
+        }
+    } ]
+}
+A mesh matches when every name given in match matches, later rules win over earlier ones.
+Materials are cloned before they are changed and the originals kept, so apply can be
+called again after the rules change and restore puts the model back as it loaded.
+*/
+class MaterialRules{
+    static VERSION = 1;
+
+    static MaterialTypes = {
+        MeshBasicMaterial,
+        MeshLambertMaterial,
+        MeshPhongMaterial,
+        MeshStandardMaterial,
+        MeshPhysicalMaterial
+    };
+
+    constructor( json, url = document.baseURI, manager ){
+        this.errors = [];
+        this.url = url;
+        this.rules = [];
+
+        this.loader = new TextureLoader( manager );
+        this.textures = {};
+        //Promises resolving with the texture once its image has loaded
+        this.loads = {};
+        //Per mesh { material, visible } from before the rules were applied
+        this.originals = new Map();
+        //Materials and textures created by apply, disposed by restore
+        this.created = [];
+        //Bumped by restore so maps still loading from an earlier apply are dropped
+        this.generation = 0;
+
+        if ( json === null || typeof json !== 'object' || !Array.isArray( json.rules ) ){
+            this.error( 'the file needs a rules array' );
+            return;
+        }
+
+        if ( json.version !== undefined && json.version > MaterialRules.VERSION ){
+            this.error( `version ${json.version} is newer than this app supports (${MaterialRules.VERSION})` );
+        }
+
+        json.rules.forEach( ( value, index ) => {
+            const rule = this.parseRule( value, index );
+            if ( rule !== undefined ) this.rules.push( rule );
+        });
+    }
+
+    //manager is an optional THREE.LoadingManager that counts the file
+    static load( url, manager ){
+        const absolute = new URL( url, document.baseURI ).href;
+
+        if ( manager !== undefined ) manager.itemStart( absolute );
+
+        return fetch( absolute )
+            .then( response => {
+                if ( !response.ok ) throw new Error( `${url} ${response.status} ${response.statusText}` );
+                return response.json();
+            })
+            .then( obj => {
+                const rules = new MaterialRules( obj, absolute, manager );
+                rules.errors.forEach( msg => console.error( msg ) );
+                return rules;
+            })
+            .then( result => {
+                if ( manager !== undefined ) manager.itemEnd( absolute );
+                return result;
+            }, err => {
+                if ( manager !== undefined ){
+                    manager.itemError( absolute );
+                    manager.itemEnd( absolute );
+                }
+                throw err;
+            });
+    }
+
+    error( msg ){
+        this.errors.push( `MaterialRules: ${msg}` );
+    }
+
+    parseRule( value, index ){
+        const name = ( typeof value.name === 'string' ) ? value.name : `rule ${index}`;
+
+        if ( value.match === undefined || ( value.match.mesh === undefined && value.match.material === undefined ) ){
+            this.error( `${name} needs a mesh or material to match` );
+            return;
+        }
+
+        if ( value.set === undefined || typeof value.set !== 'object' ){
+            this.error( `${name} has nothing to set` );
+            return;
+        }
+
+        const mesh = this.parseMatch( value.match.mesh, name );
+        const material = this.parseMatch( value.match.material, name );
+        if ( mesh === null || material === null ) return;
+
+        const set = Object.assign( {}, value.set );
+        if ( typeof set.map === 'string' ) set.map = new URL( set.map, this.url ).href;
+        if ( set.material !== undefined && MaterialRules.MaterialTypes[ set.material.type ] === undefined ){
+            this.error( `${name} material type ${set.material.type} unknown, use ${Object.keys( MaterialRules.MaterialTypes ).join( ', ' )}` );
+            delete set.material;
+        }
+
+        return { name, mesh, material, set, count: 0 };
+    }
+
+    //Returns a test function, undefined when there is nothing to match or null when invalid
+    parseMatch( value, name ){
+        if ( value === undefined ) return undefined;
+        if ( typeof value === 'string' ) return ( text ) => text === value;
+        if ( typeof value.regex === 'string' ){
+            try{
+                const regex = new RegExp( value.regex, value.flags );
+                return ( text ) => regex.test( text );
+            }catch( err ){
+                this.error( `${name} ${err.message}` );
+                return null;
+            }
+        }
+        this.error( `${name} match must be a name or { regex }` );
+        return null;
+    }
+
+    matches( rule, mesh, material ){
+        if ( rule.mesh !== undefined && !rule.mesh( mesh.name ) ) return false;
+        if ( rule.material !== undefined && !rule.material( material.name ) ) return false;
+        return true;
+    }
+
+    //Applies the rules to every mesh under root, undoing any earlier apply first
+    apply( root ){
+        this.restore();
+
+        this.rules.forEach( rule => rule.count = 0 );
+
+        //Meshes sharing a material keep sharing the changed copy
+        const clones = new Map();
+
+        root.traverse( mesh => {
+            if ( !mesh.isMesh ) return;
+
+            const isArray = Array.isArray( mesh.material );
+            const materials = isArray ? mesh.material : [ mesh.material ];
+            let changed = false;
+
+            const result = materials.map( original => {
+                const rules = this.rules.filter( rule => this.matches( rule, mesh, original ) );
+                if ( rules.length == 0 ) return original;
+
+                if ( !changed ){
+                    this.originals.set( mesh, { material: mesh.material, visible: mesh.visible } );
+                    changed = true;
+                }
+
+                rules.forEach( rule => rule.count++ );
+
+                //A map fitted to the mesh can't be shared with other meshes
+                const shared = !rules.some( rule => rule.set.fit == 'cover' );
+                const key = rules.map( rule => this.rules.indexOf( rule ) ).join( ',' );
+                let cache = clones.get( original );
+                if ( shared && cache !== undefined && cache[ key ] !== undefined ){
+                    rules.forEach( rule => {
+                        if ( rule.set.visible !== undefined ) mesh.visible = rule.set.visible;
+                    });
+                    return cache[ key ];
+                }
+
+                let material = original.clone();
+                this.created.push( material );
+                rules.forEach( rule => material = this.applySet( mesh, material, rule.set ) );
+
+                if ( shared ){
+                    if ( cache === undefined ){
+                        cache = {};
+                        clones.set( original, cache );
+                    }
+                    cache[ key ] = material;
+                }
+
+                return material;
+            });
+
+            if ( changed ) mesh.material = isArray ? result : result[0];
+        });
+
+        this.rules.forEach( rule => {
+            if ( rule.count == 0 ) console.warn( `MaterialRules: ${rule.name} matched nothing` );
+        });
+    }
+
+    //Returns the material, a new one if set swaps it
+    applySet( mesh, material, set ){
+        if ( set.material !== undefined ){
+            const { type, ...params } = set.material;
+            if ( typeof params.map === 'string' ) params.map = this.loadTexture( new URL( params.map, this.url ).href );
+            material = new MaterialRules.MaterialTypes[ type ]( params );
+            this.created.push( material );
+        }
+
+        if ( set.visible !== undefined ) mesh.visible = set.visible;
+        if ( set.color !== undefined && material.color ) material.color.set( set.color );
+        if ( set.emissive !== undefined && material.emissive ) material.emissive.set( set.emissive );
+        if ( set.emissiveIntensity !== undefined ) material.emissiveIntensity = set.emissiveIntensity;
+        if ( set.opacity !== undefined ){
+            material.opacity = set.opacity;
+            material.transparent = set.opacity < 1;
+        }
+
+        if ( set.map !== undefined ){
+            const texture = this.loadTexture( set.map );
+            if ( set.fit == 'cover' ){
+                this.fitMap( mesh, material, set.map );
+            }else{
+                material.map = texture;
+            }
+        }
+
+        material.needsUpdate = true;
+
+        return material;
+    }
+
+    loadTexture( url ){
+        if ( this.textures[ url ] === undefined ){
+            this.loads[ url ] = new Promise( ( resolve, reject ) => {
+                this.textures[ url ] = this.loader.load( url, resolve, undefined, reject );
+            });
+            this.loads[ url ].catch( () => console.warn( `MaterialRules: could not load ${url}` ) );
+            const texture = this.textures[ url ];
+            //glTF UVs start at the top left
+            texture.flipY = false;
+            texture.encoding = sRGBEncoding;
+        }
+        return this.textures[ url ];
+    }
+
+    //Crops the map to the aspect of the mesh once the image size is known
+    fitMap( mesh, material, url ){
+        this.loadTexture( url );
+
+        const generation = this.generation;
+
+        this.loads[ url ].then( texture => {
+            //The rules were applied again or restored while the image loaded
+            if ( generation != this.generation ) return;
+
+            const map = texture.clone();
+            map.needsUpdate = true;
+            map.wrapS = ClampToEdgeWrapping;
+            map.wrapT = ClampToEdgeWrapping;
+            this.created.push( map );
+
+            //The widest horizontal side of the mesh is its width
+            const size = new Box3().setFromObject( mesh ).getSize( new Vector3() );
+            const meshAspect = Math.max( size.x, size.z ) / size.y;
+            const imageAspect = texture.image.width / texture.image.height;
+
+            if ( imageAspect > meshAspect ){
+                map.repeat.set( meshAspect / imageAspect, 1 );
+            }else{
+                map.repeat.set( 1, imageAspect / meshAspect );
+            }
+            map.offset.set( ( 1 - map.repeat.x ) / 2, ( 1 - map.repeat.y ) / 2 );
+
+            material.map = map;
+            material.needsUpdate = true;
+        }).catch( () => {} );
+    }
+
+    //Puts the original materials back and frees everything apply created
+    restore(){
+        this.generation++;
+
+        this.originals.forEach( ( original, mesh ) => {
+            mesh.material = original.material;
+            mesh.visible = original.visible;
+        });
+        this.originals.clear();
+
+        this.created.forEach( item => item.dispose() );
+        this.created = [];
+    }
+
+    dispose(){
+        this.restore();
+        Object.values( this.textures ).forEach( texture => texture.dispose() );
+        this.textures = {};
+        this.loads = {};
+    }
+}
+
+export { MaterialRules };
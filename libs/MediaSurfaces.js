@@ -0,0 +1,324 @@
+import { TextureLoader,
+        VideoTexture,
+        MeshBasicMaterial,
+        Color,
+        Box3,
+        Vector3,
+        ClampToEdgeWrapping,
+        sRGBEncoding
+       } from './three/three.module.js';
+
+/*Images, videos and slideshows shown on named meshes, see media.json
+{
+    version: 1,
+    surfaces: {
+        mesh name: {
+            type: image | video | slideshow
+            url: image or video url, urls: [ image urls ] for a slideshow
+            fit: contain | cover | stretch
+            background: hex colour around contained media and while it loads
+            interval: seconds each slideshow image is shown
+            playDistance: metres from the mesh where a video starts playing
+            muted: false to hear a video, browsers only allow it after a user gesture
+            volume: 0-1
+        }
+    }
+}
+The mesh is measured with its world bounding box, its widest horizontal side is the
+width, and its UVs are expected to cover the face once from 0 to 1.
+*/
+class MediaSurfaces{
+    static VERSION = 1;
+    static Types = [ 'image', 'video', 'slideshow' ];
+    static Fits = [ 'contain', 'cover', 'stretch' ];
+    static Defaults = {
+        fit: 'contain',
+        background: '#000000',
+        interval: 5,
+        playDistance: 6,
+        muted: true,
+        volume: 1
+    };
+
+    constructor( json, url = document.baseURI, manager ){
+        this.errors = [];
+        this.warnings = [];
+        this.url = url;
+        this.config = {};
+        this.surfaces = [];
+        this.loader = new TextureLoader( manager );
+
+        if ( json === null || typeof json !== 'object' || json.surfaces === undefined ){
+            this.error( 'the file needs a surfaces object' );
+            return;
+        }
+
+        if ( json.version !== undefined && json.version > MediaSurfaces.VERSION ){
+            this.error( `version ${json.version} is newer than this app supports (${MediaSurfaces.VERSION})` );
+        }
+
+        Object.entries( json.surfaces ).forEach( ( [ name, value ] ) => {
+            const config = this.parseSurface( name, value );
+            if ( config !== undefined ) this.config[ name ] = config;
+        });
+    }
+
+    //manager is an optional THREE.LoadingManager that counts the file
+    static load( url, manager ){
+        const absolute = new URL( url, document.baseURI ).href;
+
+        if ( manager !== undefined ) manager.itemStart( absolute );
+
+        return fetch( absolute )
+            .then( response => {
+                if ( !response.ok ) throw new Error( `${url} ${response.status} ${response.statusText}` );
+                return response.json();
+            })
+            .then( obj => {
+                const media = new MediaSurfaces( obj, absolute, manager );
+                media.errors.forEach( msg => console.error( msg ) );
+                media.warnings.forEach( msg => console.warn( msg ) );
+                return media;
+            })
+            .then( result => {
+                if ( manager !== undefined ) manager.itemEnd( absolute );
+                return result;
+            }, err => {
+                if ( manager !== undefined ){
+                    manager.itemError( absolute );
+                    manager.itemEnd( absolute );
+                }
+                throw err;
+            });
+    }
+
+    error( msg ){
+        this.errors.push( `MediaSurfaces: ${msg}` );
+    }
+
+    warn( msg ){
+        this.warnings.push( `MediaSurfaces: ${msg}` );
+    }
+
+    parseSurface( name, value ){
+        const config = Object.assign( {}, MediaSurfaces.Defaults, value );
+
+        if ( !MediaSurfaces.Types.includes( config.type ) ){
+            this.error( `${name} type ${config.type} unknown, use ${MediaSurfaces.Types.join( ', ' )}` );
+            return;
+        }
+
+        if ( !MediaSurfaces.Fits.includes( config.fit ) ){
+            this.warn( `${name} fit ${config.fit} unknown, using ${MediaSurfaces.Defaults.fit}` );
+            config.fit = MediaSurfaces.Defaults.fit;
+        }
+
+        if ( config.type == 'slideshow' ){
+            if ( !Array.isArray( config.urls ) || config.urls.length == 0 ){
+                this.error( `${name} slideshow needs a urls array` );
+                return;
+            }
+            config.urls = config.urls.map( url => new URL( url, this.url ).href );
+        }else{
+            if ( typeof config.url !== 'string' ){
+                this.error( `${name} needs a url` );
+                return;
+            }
+            config.url = new URL( config.url, this.url ).href;
+        }
+
+        return config;
+    }
+
+    //Puts the media on the meshes under root, call dispose before attaching again
+    attach( root ){
+        root.updateMatrixWorld( true );
+
+        Object.entries( this.config ).forEach( ( [ name, config ] ) => {
+            const mesh = root.getObjectByName( name );
+            if ( mesh === undefined || !mesh.isMesh ){
+                console.warn( `MediaSurfaces: no mesh called ${name} in the model` );
+                return;
+            }
+            this.surfaces.push( this.createSurface( mesh, config ) );
+        });
+    }
+
+    createSurface( mesh, config ){
+        const box = new Box3().setFromObject( mesh );
+        const size = box.getSize( new Vector3() );
+
+        const surface = {
+            mesh,
+            config,
+            original: mesh.material,
+            aspect: Math.max( size.x, size.z ) / Math.max( size.y, 0.0001 ),
+            center: box.getCenter( new Vector3() ),
+            background: new Color( config.background ).convertSRGBToLinear(),
+            textures: [],
+            index: 0,
+            elapsed: 0
+        };
+
+        //Unlit so the media shows as it was made whatever the lighting
+        const material = new MeshBasicMaterial( { color: config.background, toneMapped: false } );
+        //Contained media leaves texture coordinates outside 0 to 1, they show the background
+        material.onBeforeCompile = ( shader ) => {
+            shader.uniforms.backgroundColor = { value: surface.background };
+            shader.fragmentShader = 'uniform vec3 backgroundColor;\n' + shader.fragmentShader.replace( '#include <map_fragment>', `#include <map_fragment>
+                #ifdef USE_MAP
+                if ( vUv.x < 0.0 || vUv.x > 1.0 || vUv.y < 0.0 || vUv.y > 1.0 ) diffuseColor.rgb = backgroundColor;
+                #endif` );
+        };
+        surface.material = material;
+        mesh.material = material;
+
+        switch( config.type ){
+            case 'image':
+                this.loadImage( surface, config.url );
+                break;
+            case 'slideshow':
+                config.urls.forEach( url => this.loadImage( surface, url ) );
+                break;
+            case 'video':
+                this.loadVideo( surface );
+                break;
+        }
+
+        return surface;
+    }
+
+    loadImage( surface, url ){
+        const index = surface.textures.length;
+
+        const texture = this.loader.load( url, () => {
+            //The first image is shown as soon as it arrives
+            if ( index == surface.index ) this.show( surface, texture, texture.image.width, texture.image.height );
+        }, undefined, () => console.warn( `MediaSurfaces: could not load ${url}` ) );
+
+        this.prepare( texture );
+        surface.textures.push( texture );
+    }
+
+    loadVideo( surface ){
+        const config = surface.config;
+        const video = document.createElement( 'video' );
+        video.crossOrigin = 'anonymous';
+        video.loop = true;
+        video.muted = config.muted;
+        video.volume = config.volume;
+        video.playsInline = true;
+        video.preload = 'auto';
+
+        const texture = new VideoTexture( video );
+        this.prepare( texture );
+        surface.textures.push( texture );
+        surface.video = video;
+
+        video.addEventListener( 'loadedmetadata', () => this.show( surface, texture, video.videoWidth, video.videoHeight ) );
+        video.addEventListener( 'error', () => console.warn( `MediaSurfaces: could not load ${config.url}` ) );
+        video.src = config.url;
+    }
+
+    prepare( texture ){
+        //glTF UVs start at the top left
+        texture.flipY = false;
+        texture.encoding = sRGBEncoding;
+        texture.wrapS = ClampToEdgeWrapping;
+        texture.wrapT = ClampToEdgeWrapping;
+    }
+
+    //Shows a texture on the surface fitted from the media's natural size
+    show( surface, texture, width, height ){
+        if ( width > 0 && height > 0 ){
+            const mediaAspect = width / height;
+            const meshAspect = surface.aspect;
+            texture.repeat.set( 1, 1 );
+
+            switch( surface.config.fit ){
+                case 'cover':
+                    //Crop the sides or the top and bottom
+                    if ( mediaAspect > meshAspect ){
+                        texture.repeat.x = meshAspect / mediaAspect;
+                    }else{
+                        texture.repeat.y = mediaAspect / meshAspect;
+                    }
+                    break;
+                case 'contain':
+                    //Bars at the top and bottom or the sides
+                    if ( mediaAspect > meshAspect ){
+                        texture.repeat.y = mediaAspect / meshAspect;
+                    }else{
+                        texture.repeat.x = meshAspect / mediaAspect;
+                    }
+                    break;
+            }
+
+            texture.offset.set( ( 1 - texture.repeat.x ) / 2, ( 1 - texture.repeat.y ) / 2 );
+        }
+
+        const material = surface.material;
+        material.map = texture;
+        material.color.set( 0xffffff );
+        material.needsUpdate = true;
+    }
+
+    //position is the viewer, videos play when it is close
+    update( dt, position ){
+        this.surfaces.forEach( surface => {
+            const config = surface.config;
+
+            if ( surface.video !== undefined ){
+                const distance = surface.center.distanceTo( position );
+                const video = surface.video;
+                if ( surface.retry > 0 ) surface.retry -= dt;
+                //A metre of slack stops it flickering between play and pause at the edge
+                if ( distance < config.playDistance && video.paused ){
+                    if ( surface.starting || surface.retry > 0 ) return;
+                    surface.starting = true;
+                    video.play().then( () => {
+                        surface.starting = false;
+                    }).catch( err => {
+                        //Usually sound blocked until a user gesture, try again shortly
+                        if ( surface.retry === undefined ) console.warn( `MediaSurfaces: ${config.url} could not play, ${err.message}` );
+                        surface.starting = false;
+                        surface.retry = 2;
+                    });
+                }else if ( distance > config.playDistance + 1 && !video.paused ){
+                    video.pause();
+                }
+            }else if ( config.type == 'slideshow' && surface.textures.length > 1 ){
+                surface.elapsed += dt;
+                if ( surface.elapsed < config.interval ) return;
+                surface.elapsed = 0;
+                //Skip images that haven't loaded yet
+                for( let i=1; i<surface.textures.length; i++ ){
+                    const index = ( surface.index + i ) % surface.textures.length;
+                    const texture = surface.textures[ index ];
+                    if ( texture.image !== undefined && texture.image.width > 0 ){
+                        surface.index = index;
+                        this.show( surface, texture, texture.image.width, texture.image.height );
+                        break;
+                    }
+                }
+            }
+        });
+    }
+
+    //Puts the original materials back
+    dispose(){
+        this.surfaces.forEach( surface => {
+            surface.mesh.material = surface.original;
+            if ( surface.video !== undefined ){
+                surface.video.pause();
+                surface.video.removeAttribute( 'src' );
+                surface.video.load();
+            }
+            surface.textures.forEach( texture => texture.dispose() );
+            surface.material.dispose();
+        });
+        this.surfaces = [];
+    }
+}
+
+export { MediaSurfaces };
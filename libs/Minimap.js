@@ -0,0 +1,294 @@
+import { OrthographicCamera,
+        WebGLRenderTarget,
+        CanvasTexture,
+        Scene,
+        Mesh,
+        MeshBasicMaterial,
+        MeshNormalMaterial,
+        PlaneGeometry,
+        HemisphereLight,
+        Box3,
+        Vector3,
+        Matrix4,
+        Color,
+        Raycaster,
+        DoubleSide,
+        sRGBEncoding
+       } from './three/three.module.js';
+
+/*Top down floor plan with a you are here marker and the hotspots
+The plan is rendered once with an orthographic camera into a render target and copied
+to a 2D canvas. Markers are drawn over it on the canvas, which is shown as a DOM
+overlay on desktop and as the texture of a wrist panel in VR.
+options:
+size: canvas size in pixels
+source: model | proxy - render the model cut below cutHeight or the collision mesh
+cutHeight: metres above the floor where the model is sliced to remove ceilings
+panelSize: width of the wrist panel in metres
+onSelect( hotspot ): called when a hotspot on the map is clicked or selected
+*/
+class Minimap{
+    constructor( renderer, options = {} ){
+        if ( renderer === undefined ){
+            console.warn( 'Minimap needs a THREE.WebGLRenderer instance passing to the constructor');
+            return;
+        }
+
+        this.renderer = renderer;
+        this.size = ( options.size !== undefined ) ? options.size : 256;
+        this.source = ( options.source !== undefined ) ? options.source : 'model';
+        this.cutHeight = ( options.cutHeight !== undefined ) ? options.cutHeight : 2.2;
+        this.onSelect = options.onSelect;
+        this.markerRadius = 7;
+        this.hotspots = [];
+        this.categoryColors = {};
+        this.palette = [ '#ff5252', '#ffb300', '#40c4ff', '#69f0ae', '#e040fb', '#ffffff' ];
+        this.interval = 0.1;
+        this.elapsed = this.interval;
+
+        const canvas = document.createElement( 'canvas' );
+        canvas.width = this.size;
+        canvas.height = this.size;
+        this.canvas = canvas;
+        this.context = canvas.getContext( '2d' );
+
+        this.texture = new CanvasTexture( canvas );
+        this.texture.encoding = sRGBEncoding;
+
+        this.createOverlay();
+
+        const panelSize = ( options.panelSize !== undefined ) ? options.panelSize : 0.15;
+        this.panel = new Mesh( new PlaneGeometry( panelSize, panelSize ), new MeshBasicMaterial( { map: this.texture } ) );
+        //Lies on the back of the wrist, facing up towards the user
+        this.panel.rotation.x = -Math.PI/2;
+        this.panel.position.set( 0, 0.04, 0.05 );
+        this.panel.visible = false;
+
+        this.raycaster = new Raycaster();
+        this.mat4 = new Matrix4();
+        this.vec3 = new Vector3();
+        this.dir = new Vector3();
+    }
+
+    createOverlay(){
+        const canvas = this.canvas;
+        canvas.style.position = 'absolute';
+        canvas.style.top = '10px';
+        canvas.style.right = '10px';
+        canvas.style.width = '200px';
+        canvas.style.height = '200px';
+        canvas.style.border = '2px solid #0ff';
+        canvas.style.borderRadius = '12px';
+        canvas.style.boxShadow = '0 0 10px #0ff';
+        canvas.style.zIndex = '997';
+        canvas.style.cursor = 'pointer';
+        canvas.style.display = 'none';
+        document.body.appendChild( canvas );
+
+        const self = this;
+
+        canvas.addEventListener( 'click', ( event ) => {
+            const rect = canvas.getBoundingClientRect();
+            const x = ( event.clientX - rect.left ) / rect.width * self.size;
+            const y = ( event.clientY - rect.top ) / rect.height * self.size;
+            self.selectAt( x, y );
+        });
+    }
+
+    set overlayVisible( value ){
+        this.canvas.style.display = ( value && this.plan !== undefined ) ? 'block' : 'none';
+    }
+
+    //Attaches the wrist panel to a controller grip
+    attach( grip ){
+        if ( this.panel.parent ) this.panel.parent.remove( this.panel );
+        grip.add( this.panel );
+        this.panel.visible = ( this.plan !== undefined );
+    }
+
+    //Renders the plan of root, proxy is used when source is proxy
+    build( root, proxy ){
+        const target = ( this.source == 'proxy' && proxy !== undefined ) ? proxy : root;
+
+        root.updateMatrixWorld( true );
+        const box = new Box3().setFromObject( target );
+        if ( box.isEmpty() ){
+            console.warn( 'Minimap.build: nothing to draw' );
+            return;
+        }
+
+        //Square view centred on the building with a small margin
+        const center = box.getCenter( new Vector3() );
+        const extent = Math.max( box.max.x - box.min.x, box.max.z - box.min.z ) * 0.55;
+        this.bounds = { minX: center.x - extent, minZ: center.z - extent, size: extent * 2 };
+
+        const floor = ( proxy !== undefined ) ? new Box3().setFromObject( proxy ).min.y : box.min.y;
+        const top = ( this.source == 'proxy' ) ? box.max.y + 1 : floor + this.cutHeight;
+        const camera = new OrthographicCamera( -extent, extent, extent, -extent, 0, top - box.min.y + 1 );
+        camera.position.set( center.x, top, center.z );
+        camera.up.set( 0, 0, -1 );
+        camera.lookAt( center.x, box.min.y, center.z );
+        camera.updateMatrixWorld();
+
+        const scene = new Scene();
+        let parent;
+
+        if ( target === proxy ){
+            //The proxy is invisible in the main scene, draw a copy with normals so walls and floors differ
+            const mesh = new Mesh( proxy.geometry, new MeshNormalMaterial( { side: DoubleSide } ) );
+            mesh.matrixAutoUpdate = false;
+            mesh.matrix.copy( proxy.matrixWorld );
+            scene.add( mesh );
+        }else{
+            scene.add( new HemisphereLight( 0xffffff, 0x888888, 1 ) );
+            //Borrow the model for the render and put it back afterwards
+            parent = root.parent;
+            scene.add( root );
+        }
+
+        const renderTarget = new WebGLRenderTarget( this.size, this.size );
+        renderTarget.texture.encoding = sRGBEncoding;
+
+        const renderer = this.renderer;
+        const xrEnabled = renderer.xr.enabled;
+        const clearColor = renderer.getClearColor( new Color() );
+        const clearAlpha = renderer.getClearAlpha();
+        renderer.xr.enabled = false;
+        renderer.setRenderTarget( renderTarget );
+        renderer.setClearColor( 0x222222, 1 );
+        renderer.clear();
+        renderer.render( scene, camera );
+        const pixels = new Uint8Array( this.size * this.size * 4 );
+        renderer.readRenderTargetPixels( renderTarget, 0, 0, this.size, this.size, pixels );
+        renderer.setRenderTarget( null );
+        renderer.setClearColor( clearColor, clearAlpha );
+        renderer.xr.enabled = xrEnabled;
+
+        if ( target === proxy ){
+            scene.children[0].material.dispose();
+        }else if ( parent ){
+            parent.add( root );
+        }
+        renderTarget.dispose();
+
+        //WebGL rows start at the bottom, canvas rows at the top
+        const image = this.context.createImageData( this.size, this.size );
+        const row = this.size * 4;
+        for( let y=0; y<this.size; y++ ){
+            image.data.set( pixels.subarray( y * row, ( y + 1 ) * row ), ( this.size - y - 1 ) * row );
+        }
+
+        this.plan = document.createElement( 'canvas' );
+        this.plan.width = this.size;
+        this.plan.height = this.size;
+        this.plan.getContext( '2d' ).putImageData( image, 0, 0 );
+
+        this.panel.visible = ( this.panel.parent !== null );
+    }
+
+    setHotspots( hotspots ){
+        this.hotspots = hotspots.filter( hotspot => hotspot.object !== undefined );
+        this.hotspots.forEach( hotspot => {
+            if ( this.categoryColors[ hotspot.category ] === undefined ){
+                const index = Object.keys( this.categoryColors ).length % this.palette.length;
+                this.categoryColors[ hotspot.category ] = this.palette[ index ];
+            }
+        });
+    }
+
+    toMap( position, target = {} ){
+        const bounds = this.bounds;
+        target.x = ( position.x - bounds.minX ) / bounds.size * this.size;
+        target.y = ( position.z - bounds.minZ ) / bounds.size * this.size;
+        return target;
+    }
+
+    //x, y in canvas pixels
+    selectAt( x, y ){
+        if ( this.plan === undefined ) return;
+
+        let closest;
+        let min = this.markerRadius * 2;
+        const pos = {};
+
+        this.hotspots.forEach( hotspot => {
+            this.toMap( hotspot.object.getWorldPosition( this.vec3 ), pos );
+            const dist = Math.hypot( pos.x - x, pos.y - y );
+            if ( dist < min ){
+                min = dist;
+                closest = hotspot;
+            }
+        });
+
+        if ( closest !== undefined && this.onSelect ) this.onSelect( closest );
+
+        return closest;
+    }
+
+    //Selects a hotspot on the wrist panel with a controller ray, returns true if the panel was hit
+    select( controller ){
+        if ( !this.panel.visible || this.panel.parent === controller.userData.grip ) return false;
+
+        this.mat4.identity().extractRotation( controller.matrixWorld );
+        this.raycaster.ray.origin.setFromMatrixPosition( controller.matrixWorld );
+        this.raycaster.ray.direction.set( 0, 0, -1 ).applyMatrix4( this.mat4 );
+
+        const intersects = this.raycaster.intersectObject( this.panel );
+        if ( intersects.length == 0 ) return false;
+
+        const uv = intersects[0].uv;
+        this.selectAt( uv.x * this.size, ( 1 - uv.y ) * this.size );
+        return true;
+    }
+
+    update( dt, camera ){
+        if ( this.plan === undefined ) return;
+
+        //Redrawing the canvas and uploading the texture every frame is wasted on a map
+        this.elapsed += dt;
+        if ( this.elapsed < this.interval ) return;
+        this.elapsed = 0;
+
+        const ctx = this.context;
+        ctx.drawImage( this.plan, 0, 0 );
+
+        const pos = {};
+
+        this.hotspots.forEach( hotspot => {
+            this.toMap( hotspot.object.getWorldPosition( this.vec3 ), pos );
+            ctx.fillStyle = this.categoryColors[ hotspot.category ];
+            ctx.strokeStyle = '#000';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.arc( pos.x, pos.y, this.markerRadius, 0, Math.PI * 2 );
+            ctx.fill();
+            ctx.stroke();
+        });
+
+        //You are here, an arrow pointing the way the user is looking
+        camera.getWorldPosition( this.vec3 );
+        this.toMap( this.vec3, pos );
+        camera.getWorldDirection( this.dir );
+        const angle = Math.atan2( this.dir.z, this.dir.x );
+
+        ctx.save();
+        ctx.translate( pos.x, pos.y );
+        ctx.rotate( angle );
+        ctx.fillStyle = '#0ff';
+        ctx.strokeStyle = '#000';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo( 12, 0 );
+        ctx.lineTo( -8, 8 );
+        ctx.lineTo( -4, 0 );
+        ctx.lineTo( -8, -8 );
+        ctx.closePath();
+        ctx.fill();
+        ctx.stroke();
+        ctx.restore();
+
+        this.texture.needsUpdate = true;
+    }
+}
+
+export { Minimap };
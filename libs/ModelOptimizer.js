@@ -0,0 +1,557 @@
+import { Box3,
+        Vector3,
+        Matrix3,
+        Matrix4,
+        Frustum,
+        Group,
+        Mesh,
+        LOD,
+        BufferGeometry,
+        BufferAttribute,
+        Uint16BufferAttribute,
+        Uint32BufferAttribute
+       } from './three/three.module.js';
+
+/*Cuts the draw calls and triangles of a large static model
+Three parts, each can be switched on and off to compare the frame rate in Stats:
+merge: meshes in the same room sharing a material become one mesh and one draw call
+lod: meshes with more than lodTriangles get simplified copies shown further away
+culling: only the room the viewer is in and the rooms seen through its portals are drawn
+The originals are hidden, not removed, so hotspots, anchors and names still find them.
+Rooms are boxes in world space, a portal is a box over a doorway or window into another
+room. Without rooms the model is cut into cells of cellSize metres joined on every side,
+cells more than portalDepth cells away are hidden so keep it large enough for the longest
+view inside the building. A mesh too big for its room is always drawn.
+options:
+merge, lod, culling: bools, all default to true
+rooms: [ { name, min: [x, y, z], max: [x, y, z], portals: [ { to: room name, min, max } ] } ]
+cellSize: metres, size of the generated cells
+portalDepth: how many portals away from the viewer rooms are still drawn
+lodTriangles: meshes with fewer triangles keep a single level
+lodLevels: [ { distance: metres, detail: vertices kept along the longest side } ]
+*/
+class ModelOptimizer{
+    static Transformed = [ 'position', 'normal', 'tangent' ];
+
+    static Defaults = {
+        merge: true,
+        lod: true,
+        culling: true,
+        cellSize: 10,
+        portalDepth: 3,
+        lodTriangles: 2000,
+        lodLevels: [ { distance: 15, detail: 48 }, { distance: 35, detail: 16 } ]
+    };
+
+    constructor( options = {} ){
+        const defaults = ModelOptimizer.Defaults;
+
+        this._merge = ( options.merge !== undefined ) ? options.merge : defaults.merge;
+        this._lod = ( options.lod !== undefined ) ? options.lod : defaults.lod;
+        this._culling = ( options.culling !== undefined ) ? options.culling : defaults.culling;
+        this.cellSize = ( options.cellSize !== undefined ) ? options.cellSize : defaults.cellSize;
+        this.portalDepth = ( options.portalDepth !== undefined ) ? options.portalDepth : defaults.portalDepth;
+        this.lodTriangles = ( options.lodTriangles !== undefined ) ? options.lodTriangles : defaults.lodTriangles;
+        this.lodLevels = ( Array.isArray( options.lodLevels ) ) ? options.lodLevels : defaults.lodLevels;
+        this.config = ( Array.isArray( options.rooms ) ) ? options.rooms : undefined;
+
+        this.sources = [];
+        this.rooms = [];
+        this.geometries = [];
+        this.info = { meshes: 0, batches: 0, lods: 0, rooms: 0 };
+
+        this.frustum = new Frustum();
+        this.matrix = new Matrix4();
+        this.position = new Vector3();
+    }
+
+    set merge( value ){
+        if ( this._merge == value ) return;
+        this._merge = value;
+        this.rebuild();
+    }
+
+    get merge(){
+        return this._merge;
+    }
+
+    set lod( value ){
+        if ( this._lod == value ) return;
+        this._lod = value;
+        this.rebuild();
+    }
+
+    get lod(){
+        return this._lod;
+    }
+
+    set culling( value ){
+        this._culling = value;
+        if ( !value ) this.rooms.forEach( room => room.group.visible = true );
+        this.room = undefined;
+    }
+
+    get culling(){
+        return this._culling;
+    }
+
+    //Replaces the meshes under root, call again if the model or its materials change
+    //exclude( mesh ) returns true for meshes that must stay as they are, such as media surfaces
+    optimize( root, proxy, exclude = () => false ){
+        this.clear();
+
+        this.root = root;
+        root.updateMatrixWorld( true );
+
+        this.createRooms( root, proxy );
+
+        this.sources = [];
+        root.traverseVisible( mesh => {
+            if ( !mesh.isMesh || mesh === proxy || mesh.isSkinnedMesh || mesh.isInstancedMesh ) return;
+            if ( Array.isArray( mesh.material ) || exclude( mesh ) ) return;
+            const geometry = mesh.geometry;
+            if ( geometry.attributes.position === undefined || Object.keys( geometry.morphAttributes ).length > 0 ) return;
+            this.sources.push( { mesh, room: this.findRoom( mesh ) } );
+        });
+
+        this.build();
+    }
+
+    createRooms( root, proxy ){
+        this.rooms = [];
+
+        if ( this.config !== undefined ){
+            this.config.forEach( value => {
+                if ( !Array.isArray( value.min ) || !Array.isArray( value.max ) ){
+                    console.warn( `ModelOptimizer: room ${value.name} needs min and max` );
+                    return;
+                }
+                this.rooms.push( { name: value.name, box: new Box3().set( new Vector3().fromArray( value.min ), new Vector3().fromArray( value.max ) ), portals: [] } );
+            });
+            this.config.forEach( value => {
+                const room = this.rooms.find( room => room.name == value.name );
+                if ( room === undefined || !Array.isArray( value.portals ) ) return;
+                value.portals.forEach( portal => {
+                    const to = this.rooms.find( room => room.name == portal.to );
+                    if ( to === undefined || !Array.isArray( portal.min ) || !Array.isArray( portal.max ) ){
+                        console.warn( `ModelOptimizer: portal from ${room.name} to ${portal.to} is not valid` );
+                        return;
+                    }
+                    const box = new Box3().set( new Vector3().fromArray( portal.min ), new Vector3().fromArray( portal.max ) );
+                    //Portals work both ways
+                    room.portals.push( { to, box } );
+                    if ( !to.portals.some( other => other.to === room ) ) to.portals.push( { to: room, box } );
+                });
+            });
+        }else{
+            this.createCells( root, proxy );
+        }
+
+        this.info.rooms = this.rooms.length;
+    }
+
+    //A grid of cells over the walkable area, each joined to its neighbours by the face between them
+    createCells( root, proxy ){
+        const box = new Box3().setFromObject( root );
+        if ( box.isEmpty() ) return;
+        //The proxy covers where the viewer can go, the whole model sets the height
+        if ( proxy !== undefined ){
+            const walkable = new Box3().setFromObject( proxy );
+            box.min.x = walkable.min.x;
+            box.min.z = walkable.min.z;
+            box.max.x = walkable.max.x;
+            box.max.z = walkable.max.z;
+        }
+
+        const size = box.getSize( new Vector3() );
+        //No more than 16 cells a side however small cellSize is
+        const cell = Math.max( this.cellSize, size.x / 16, size.z / 16 );
+        const columns = Math.max( 1, Math.ceil( size.x / cell ) );
+        const rows = Math.max( 1, Math.ceil( size.z / cell ) );
+        const minY = box.min.y - 1;
+        const maxY = box.max.y + 1;
+
+        for( let row=0; row<rows; row++ ){
+            for( let column=0; column<columns; column++ ){
+                const x = box.min.x + column * cell;
+                const z = box.min.z + row * cell;
+                this.rooms.push( {
+                    name: `cell ${column},${row}`,
+                    box: new Box3( new Vector3( x, minY, z ), new Vector3( x + cell, maxY, z + cell ) ),
+                    portals: []
+                });
+            }
+        }
+
+        const link = ( a, b ) => {
+            const box = a.box.clone().intersect( b.box );
+            a.portals.push( { to: b, box } );
+            b.portals.push( { to: a, box } );
+        };
+
+        for( let row=0; row<rows; row++ ){
+            for( let column=0; column<columns; column++ ){
+                const room = this.rooms[ row * columns + column ];
+                if ( column < columns - 1 ) link( room, this.rooms[ row * columns + column + 1 ] );
+                if ( row < rows - 1 ) link( room, this.rooms[ ( row + 1 ) * columns + column ] );
+            }
+        }
+    }
+
+    //The room holding the middle of the mesh, undefined when the mesh is too big for it
+    findRoom( mesh ){
+        const box = new Box3().setFromObject( mesh );
+        const center = box.getCenter( new Vector3() );
+        const room = this.rooms.find( room => room.box.containsPoint( center ) );
+        if ( room === undefined ) return undefined;
+        //A metre of slack for walls and floors shared with the next room
+        return ( room.box.clone().expandByScalar( 1 ).containsBox( box ) ) ? room : undefined;
+    }
+
+    build(){
+        const root = this.root;
+        if ( root === undefined ) return;
+
+        this.group = new Group();
+        this.group.name = 'Optimized';
+        this.outside = new Group();
+        this.group.add( this.outside );
+        this.rooms.forEach( room => {
+            room.group = new Group();
+            room.group.name = room.name;
+            this.group.add( room.group );
+        });
+
+        //Batches are built in root space so they follow the model if it moves
+        const inverse = new Matrix4().copy( root.matrixWorld ).invert();
+
+        const batches = new Map();
+        this.sources.forEach( ( source, index ) => {
+            const roomIndex = this.rooms.indexOf( source.room );
+            const key = ( this.merge ) ? `${roomIndex}|${source.mesh.material.uuid}|${this.signature( source.mesh.geometry )}` : index;
+            let batch = batches.get( key );
+            if ( batch === undefined ){
+                batch = { room: source.room, meshes: [] };
+                batches.set( key, batch );
+            }
+            batch.meshes.push( source.mesh );
+        });
+
+        this.info.meshes = this.sources.length;
+        this.info.batches = batches.size;
+        this.info.lods = 0;
+
+        batches.forEach( batch => {
+            const object = this.createBatch( batch.meshes, inverse );
+            const parent = ( batch.room !== undefined ) ? batch.room.group : this.outside;
+            parent.add( object );
+        });
+
+        this.sources.forEach( source => source.mesh.visible = false );
+
+        root.add( this.group );
+        this.room = undefined;
+    }
+
+    //Attributes that must match for geometries to be merged, the transformed ones always become floats
+    signature( geometry ){
+        const names = Object.keys( geometry.attributes ).sort();
+        return names.map( name => {
+            const attribute = geometry.attributes[ name ];
+            if ( ModelOptimizer.Transformed.includes( name ) ) return `${name}${attribute.itemSize}`;
+            const array = ( attribute.isInterleavedBufferAttribute ) ? attribute.data.array : attribute.array;
+            return `${name}${attribute.itemSize}${array.constructor.name}${attribute.normalized}`;
+        }).join( ',' );
+    }
+
+    //Reads a vertex as floats, quantized meshes such as meshopt compressed ones store normalized integers
+    readVector( attribute, index, target ){
+        target.fromBufferAttribute( attribute, index );
+        if ( !attribute.normalized ) return target;
+        const array = ( attribute.isInterleavedBufferAttribute ) ? attribute.data.array : attribute.array;
+        return target.set( this.denormalize( target.x, array ), this.denormalize( target.y, array ), this.denormalize( target.z, array ) );
+    }
+
+    denormalize( value, array ){
+        if ( array instanceof Int8Array ) return Math.max( value / 127, -1 );
+        if ( array instanceof Uint8Array ) return value / 255;
+        if ( array instanceof Int16Array ) return Math.max( value / 32767, -1 );
+        if ( array instanceof Uint16Array ) return value / 65535;
+        return value;
+    }
+
+    createBatch( meshes, inverse ){
+        const first = meshes[0];
+        const geometry = this.mergeGeometries( meshes, inverse );
+
+        //Levels are placed at the middle of the batch so their distance is measured from there
+        geometry.computeBoundingBox();
+        const center = geometry.boundingBox.getCenter( new Vector3() );
+        geometry.translate( -center.x, -center.y, -center.z );
+        this.geometries.push( geometry );
+
+        const mesh = this.createMesh( geometry, first, meshes );
+        const triangles = geometry.index.count / 3;
+
+        if ( !this.lod || triangles < this.lodTriangles ){
+            mesh.position.copy( center );
+            return mesh;
+        }
+
+        const lod = new LOD();
+        lod.name = `${first.name} LOD`;
+        lod.position.copy( center );
+        lod.addLevel( mesh, 0 );
+
+        let count = triangles;
+        this.lodLevels.forEach( level => {
+            const simple = this.simplify( geometry, level.detail );
+            const simpleCount = ( simple !== undefined ) ? simple.index.count / 3 : 0;
+            //Not worth another level unless it saves a fifth of the triangles
+            if ( simple === undefined || simpleCount == 0 || simpleCount > count * 0.8 ){
+                if ( simple !== undefined ) simple.dispose();
+                return;
+            }
+            count = simpleCount;
+            this.geometries.push( simple );
+            lod.addLevel( this.createMesh( simple, first, meshes ), level.distance );
+        });
+
+        if ( lod.levels.length > 1 ) this.info.lods++;
+
+        return lod;
+    }
+
+    createMesh( geometry, first, meshes ){
+        const mesh = new Mesh( geometry, first.material );
+        mesh.name = ( meshes.length > 1 ) ? `${first.material.name} merged` : first.name;
+        mesh.castShadow = meshes.some( mesh => mesh.castShadow );
+        mesh.receiveShadow = meshes.some( mesh => mesh.receiveShadow );
+        mesh.renderOrder = first.renderOrder;
+        return mesh;
+    }
+
+    //One indexed geometry with the transforms of the meshes baked in
+    mergeGeometries( meshes, inverse ){
+        const first = meshes[0].geometry;
+        const names = Object.keys( first.attributes );
+
+        let vertexCount = 0;
+        let indexCount = 0;
+        meshes.forEach( mesh => {
+            const geometry = mesh.geometry;
+            vertexCount += geometry.attributes.position.count;
+            indexCount += ( geometry.index !== null ) ? geometry.index.count : geometry.attributes.position.count;
+        });
+
+        const arrays = {};
+        names.forEach( name => {
+            const attribute = first.attributes[ name ];
+            const transformed = ModelOptimizer.Transformed.includes( name );
+            const source = ( attribute.isInterleavedBufferAttribute ) ? attribute.data.array : attribute.array;
+            const ArrayType = ( transformed ) ? Float32Array : source.constructor;
+            arrays[ name ] = new ArrayType( vertexCount * attribute.itemSize );
+        });
+        const index = ( vertexCount > 65535 ) ? new Uint32Array( indexCount ) : new Uint16Array( indexCount );
+
+        const matrix = new Matrix4();
+        const normalMatrix = new Matrix3();
+        const vec = new Vector3();
+        const getters = [ 'getX', 'getY', 'getZ', 'getW' ];
+
+        let vertexOffset = 0;
+        let indexOffset = 0;
+
+        meshes.forEach( mesh => {
+            const geometry = mesh.geometry;
+            const count = geometry.attributes.position.count;
+            matrix.multiplyMatrices( inverse, mesh.matrixWorld );
+            normalMatrix.getNormalMatrix( matrix );
+            //A mirrored mesh has its triangles wound the other way
+            const flip = matrix.determinant() < 0;
+
+            names.forEach( name => {
+                const attribute = geometry.attributes[ name ];
+                const array = arrays[ name ];
+                const itemSize = attribute.itemSize;
+
+                for( let i=0; i<count; i++ ){
+                    const offset = ( vertexOffset + i ) * itemSize;
+                    if ( name == 'position' ){
+                        this.readVector( attribute, i, vec ).applyMatrix4( matrix ).toArray( array, offset );
+                    }else if ( name == 'normal' ){
+                        this.readVector( attribute, i, vec ).applyMatrix3( normalMatrix ).normalize().toArray( array, offset );
+                    }else if ( name == 'tangent' ){
+                        this.readVector( attribute, i, vec ).transformDirection( matrix ).toArray( array, offset );
+                        const w = ( attribute.normalized ) ? this.denormalize( attribute.getW( i ), ( attribute.isInterleavedBufferAttribute ) ? attribute.data.array : attribute.array ) : attribute.getW( i );
+                        array[ offset + 3 ] = w * ( ( flip ) ? -1 : 1 );
+                    }else{
+                        for( let c=0; c<itemSize; c++ ) array[ offset + c ] = attribute[ getters[ c ] ]( i );
+                    }
+                }
+            });
+
+            const source = geometry.index;
+            const length = ( source !== null ) ? source.count : count;
+            for( let i=0; i<length; i+=3 ){
+                const a = ( source !== null ) ? source.getX( i ) : i;
+                const b = ( source !== null ) ? source.getX( i + 1 ) : i + 1;
+                const c = ( source !== null ) ? source.getX( i + 2 ) : i + 2;
+                index[ indexOffset + i ] = vertexOffset + a;
+                index[ indexOffset + i + 1 ] = vertexOffset + ( ( flip ) ? c : b );
+                index[ indexOffset + i + 2 ] = vertexOffset + ( ( flip ) ? b : c );
+            }
+
+            vertexOffset += count;
+            indexOffset += length;
+        });
+
+        const geometry = new BufferGeometry();
+        names.forEach( name => {
+            const attribute = first.attributes[ name ];
+            const transformed = ModelOptimizer.Transformed.includes( name );
+            geometry.setAttribute( name, new BufferAttribute( arrays[ name ], attribute.itemSize, ( transformed ) ? false : attribute.normalized ) );
+        });
+        geometry.setIndex( ( index instanceof Uint32Array ) ? new Uint32BufferAttribute( index, 1 ) : new Uint16BufferAttribute( index, 1 ) );
+
+        return geometry;
+    }
+
+    /*Vertex clustering: vertices falling in the same cell of a grid over the geometry are
+    welded at their average position and triangles left with less than three corners dropped.
+    Vertices facing different ways are kept apart so hard edges and most texture seams survive.
+    detail is the number of cells along the longest side*/
+    simplify( geometry, detail ){
+        const position = geometry.attributes.position;
+        const normal = geometry.attributes.normal;
+        const box = geometry.boundingBox;
+        const size = box.getSize( new Vector3() );
+        const cell = Math.max( size.x, size.y, size.z ) / detail;
+        if ( !( cell > 0 ) ) return;
+
+        const clusters = new Map();
+        const remap = new Uint32Array( position.count );
+        const sums = [];
+        const representatives = [];
+        const vec = new Vector3();
+
+        for( let i=0; i<position.count; i++ ){
+            vec.fromBufferAttribute( position, i );
+            const x = Math.floor( ( vec.x - box.min.x ) / cell );
+            const y = Math.floor( ( vec.y - box.min.y ) / cell );
+            const z = Math.floor( ( vec.z - box.min.z ) / cell );
+            let key = `${x},${y},${z}`;
+            if ( normal !== undefined ){
+                //Which of the six axis directions the vertex faces most
+                const nx = normal.getX( i ), ny = normal.getY( i ), nz = normal.getZ( i );
+                const ax = Math.abs( nx ), ay = Math.abs( ny ), az = Math.abs( nz );
+                const facing = ( ax >= ay && ax >= az ) ? ( ( nx > 0 ) ? 0 : 1 ) : ( ay >= az ) ? ( ( ny > 0 ) ? 2 : 3 ) : ( ( nz > 0 ) ? 4 : 5 );
+                key += `,${facing}`;
+            }
+            let cluster = clusters.get( key );
+            if ( cluster === undefined ){
+                cluster = representatives.length;
+                clusters.set( key, cluster );
+                representatives.push( i );
+                sums.push( new Vector3() );
+            }
+            sums[ cluster ].add( vec );
+            remap[ i ] = cluster;
+        }
+
+        const counts = new Uint32Array( representatives.length );
+        for( let i=0; i<position.count; i++ ) counts[ remap[ i ] ]++;
+
+        const source = geometry.index;
+        const triangles = [];
+        for( let i=0; i<source.count; i+=3 ){
+            const a = remap[ source.getX( i ) ];
+            const b = remap[ source.getX( i + 1 ) ];
+            const c = remap[ source.getX( i + 2 ) ];
+            if ( a == b || b == c || a == c ) continue;
+            triangles.push( a, b, c );
+        }
+
+        const result = new BufferGeometry();
+        Object.entries( geometry.attributes ).forEach( ( [ name, attribute ] ) => {
+            const itemSize = attribute.itemSize;
+            const array = new attribute.array.constructor( representatives.length * itemSize );
+            representatives.forEach( ( vertex, cluster ) => {
+                if ( name == 'position' ){
+                    sums[ cluster ].divideScalar( counts[ cluster ] ).toArray( array, cluster * 3 );
+                }else{
+                    for( let c=0; c<itemSize; c++ ) array[ cluster * itemSize + c ] = attribute.array[ vertex * itemSize + c ];
+                }
+            });
+            result.setAttribute( name, new BufferAttribute( array, itemSize, attribute.normalized ) );
+        });
+        result.setIndex( ( representatives.length > 65535 ) ? new Uint32BufferAttribute( triangles, 1 ) : new Uint16BufferAttribute( triangles, 1 ) );
+
+        return result;
+    }
+
+    //Shows the rooms camera can see, call each frame before rendering
+    update( camera, renderer ){
+        if ( !this.culling || this.rooms.length == 0 || this.group === undefined ) return;
+
+        //In VR the headset pose and field of view are on the XR camera
+        const view = ( renderer !== undefined && renderer.xr.isPresenting ) ? renderer.xr.getCamera( camera ) : camera;
+        const position = this.position.setFromMatrixPosition( view.matrixWorld );
+        this.frustum.setFromProjectionMatrix( this.matrix.multiplyMatrices( view.projectionMatrix, view.matrixWorldInverse ) );
+
+        const room = this.rooms.find( room => room.box.containsPoint( position ) );
+
+        if ( room === undefined ){
+            //Outside the building everything may be in view, the renderer's frustum culling does the rest
+            if ( this.room !== null ) this.rooms.forEach( room => room.group.visible = true );
+            this.room = null;
+            return;
+        }
+
+        this.room = room;
+        this.rooms.forEach( room => room.visible = false );
+        room.visible = true;
+
+        //Walk out through the portals in view, a level at a time
+        let current = [ room ];
+        for( let depth=0; depth<this.portalDepth && current.length > 0; depth++ ){
+            const next = [];
+            current.forEach( room => {
+                room.portals.forEach( portal => {
+                    if ( portal.to.visible || !this.frustum.intersectsBox( portal.box ) ) return;
+                    portal.to.visible = true;
+                    next.push( portal.to );
+                });
+            });
+            current = next;
+        }
+
+        this.rooms.forEach( room => room.group.visible = room.visible );
+    }
+
+    rebuild(){
+        if ( this.root === undefined ) return;
+        this.clear( false );
+        this.build();
+    }
+
+    //Removes the batches and shows the originals again, keep false to build again from the same meshes
+    clear( forget = true ){
+        if ( this.group !== undefined && this.group.parent !== null ) this.group.parent.remove( this.group );
+        this.group = undefined;
+        this.geometries.forEach( geometry => geometry.dispose() );
+        this.geometries = [];
+        this.sources.forEach( source => source.mesh.visible = true );
+        if ( forget ){
+            this.sources = [];
+            this.root = undefined;
+        }
+    }
+
+    dispose(){
+        this.clear();
+        this.rooms = [];
+    }
+}
+
+export { ModelOptimizer };
@@ -0,0 +1,308 @@
+import { Box3, Raycaster, Vector3 } from './three/three.module.js';
+
+/*Walkable grid over the collision mesh with A* routing
+Each cell is probed once at build time with a downward ray, a cell is walkable when the
+first thing under it is a floor close to the floor height. Walls are vertical so they
+are found with horizontal rays between neighbouring cells, these are only cast when
+the search reaches an edge and the result is cached.
+options:
+cellSize: metres per grid cell
+agentRadius: clearance kept from walls
+floorY: height of the floor being mapped
+maxStep: highest floor change allowed between neighbouring cells
+maxSlope: steepest walkable floor in radians
+*/
+class NavGrid{
+    static Neighbours = [ [ 1, 0 ], [ -1, 0 ], [ 0, 1 ], [ 0, -1 ], [ 1, 1 ], [ -1, 1 ], [ 1, -1 ], [ -1, -1 ] ];
+
+    constructor( options = {} ){
+        this.cellSize = ( options.cellSize !== undefined ) ? options.cellSize : 0.5;
+        this.agentRadius = ( options.agentRadius !== undefined ) ? options.agentRadius : 0.3;
+        this.maxStep = ( options.maxStep !== undefined ) ? options.maxStep : 0.3;
+        this.maxSlope = ( options.maxSlope !== undefined ) ? options.maxSlope : Math.PI/6;
+        this.floorY = ( options.floorY !== undefined ) ? options.floorY : 0;
+
+        this.raycaster = new Raycaster();
+        this.origin = new Vector3();
+        this.dir = new Vector3();
+        this.down = new Vector3( 0, -1, 0 );
+        this.normal = new Vector3();
+    }
+
+    get ready(){
+        return ( this.heights !== undefined );
+    }
+
+    build( proxy ){
+        if ( proxy === undefined ){
+            console.warn( 'NavGrid.build: no collision mesh' );
+            return;
+        }
+
+        this.proxy = proxy;
+        proxy.updateMatrixWorld( true );
+
+        const box = new Box3().setFromObject( proxy );
+        this.minX = box.min.x;
+        this.minZ = box.min.z;
+        this.cols = Math.max( 1, Math.ceil( ( box.max.x - box.min.x ) / this.cellSize ) );
+        this.rows = Math.max( 1, Math.ceil( ( box.max.z - box.min.z ) / this.cellSize ) );
+
+        //NaN marks a cell that cannot be walked on
+        this.heights = new Float32Array( this.cols * this.rows ).fill( NaN );
+        //Per cell bit mask of the 8 neighbour edges, bit set when tested, second mask holds the result
+        this.tested = new Uint8Array( this.cols * this.rows );
+        this.open = new Uint8Array( this.cols * this.rows );
+
+        const minNormalY = Math.cos( this.maxSlope );
+        const probeHeight = 2;
+        this.raycaster.far = probeHeight + 1;
+
+        let walkable = 0;
+
+        for( let row=0; row<this.rows; row++ ){
+            for( let col=0; col<this.cols; col++ ){
+                this.cellCenter( col, row, this.origin );
+                this.origin.y = this.floorY + probeHeight;
+                this.raycaster.set( this.origin, this.down );
+                const intersects = this.raycaster.intersectObject( proxy );
+                if ( intersects.length == 0 ) continue;
+                const hit = intersects[0];
+                if ( !hit.face ) continue;
+                this.normal.copy( hit.face.normal ).transformDirection( hit.object.matrixWorld );
+                if ( this.normal.y < minNormalY ) continue;
+                if ( Math.abs( hit.point.y - this.floorY ) > 1 ) continue;
+                this.heights[ row * this.cols + col ] = hit.point.y;
+                walkable++;
+            }
+        }
+
+        this.raycaster.far = Infinity;
+
+        if ( walkable == 0 ) console.warn( `NavGrid.build: no walkable cells found at floor height ${this.floorY}` );
+    }
+
+    cellCenter( col, row, target = new Vector3() ){
+        target.set( this.minX + ( col + 0.5 ) * this.cellSize, 0, this.minZ + ( row + 0.5 ) * this.cellSize );
+        const height = this.heights[ row * this.cols + col ];
+        target.y = ( isNaN( height ) ) ? this.floorY : height;
+        return target;
+    }
+
+    isWalkable( col, row ){
+        if ( col < 0 || row < 0 || col >= this.cols || row >= this.rows ) return false;
+        return !isNaN( this.heights[ row * this.cols + col ] );
+    }
+
+    //Nearest walkable cell to a world position, searched in growing rings
+    findCell( position, maxRings = 6 ){
+        const col = Math.floor( ( position.x - this.minX ) / this.cellSize );
+        const row = Math.floor( ( position.z - this.minZ ) / this.cellSize );
+
+        for( let ring=0; ring<=maxRings; ring++ ){
+            let best;
+            let min = Infinity;
+            for( let r=row-ring; r<=row+ring; r++ ){
+                for( let c=col-ring; c<=col+ring; c++ ){
+                    if ( Math.max( Math.abs( r - row ), Math.abs( c - col ) ) != ring ) continue;
+                    if ( !this.isWalkable( c, r ) ) continue;
+                    const d = ( c - col ) * ( c - col ) + ( r - row ) * ( r - row );
+                    if ( d < min ){
+                        min = d;
+                        best = { col: c, row: r };
+                    }
+                }
+            }
+            if ( best !== undefined ) return best;
+        }
+    }
+
+    //True when nothing in the collision mesh lies between the two points at waist and knee height
+    clear( from, to ){
+        this.dir.copy( to ).sub( from );
+        this.dir.y = 0;
+        const length = this.dir.length();
+        if ( length == 0 ) return true;
+        this.dir.divideScalar( length );
+        this.raycaster.far = length + this.agentRadius;
+
+        let blocked = false;
+
+        for( const height of [ 0.4, 1.0 ] ){
+            this.origin.set( from.x, Math.max( from.y, to.y ) + height, from.z );
+            this.raycaster.set( this.origin, this.dir );
+            if ( this.raycaster.intersectObject( this.proxy ).length > 0 ){
+                blocked = true;
+                break;
+            }
+        }
+
+        this.raycaster.far = Infinity;
+
+        return !blocked;
+    }
+
+    canStep( col, row, dir ){
+        const index = row * this.cols + col;
+        const bit = 1 << dir;
+
+        if ( ( this.tested[ index ] & bit ) == 0 ){
+            const [ dc, dr ] = NavGrid.Neighbours[ dir ];
+            let open = this.isWalkable( col + dc, row + dr );
+            if ( open ){
+                const a = this.cellCenter( col, row );
+                const b = this.cellCenter( col + dc, row + dr );
+                open = ( Math.abs( a.y - b.y ) <= this.maxStep ) && this.clear( a, b );
+                //No cutting corners past a wall on a diagonal
+                if ( open && dc != 0 && dr != 0 ){
+                    open = this.isWalkable( col + dc, row ) && this.isWalkable( col, row + dr );
+                }
+            }
+            this.tested[ index ] |= bit;
+            if ( open ) this.open[ index ] |= bit;
+        }
+
+        return ( this.open[ index ] & bit ) != 0;
+    }
+
+    //Returns an array of world positions from start to goal or undefined if there is no route
+    findPath( start, goal ){
+        if ( !this.ready ) return undefined;
+
+        const from = this.findCell( start );
+        const to = this.findCell( goal );
+        if ( from === undefined || to === undefined ) return undefined;
+
+        const cols = this.cols;
+        const startIndex = from.row * cols + from.col;
+        const goalIndex = to.row * cols + to.col;
+
+        const g = new Map();
+        const cameFrom = new Map();
+        const closed = new Set();
+        const heap = new MinHeap();
+
+        //Octile distance, exact on an 8 way grid without walls
+        const heuristic = ( col, row ) => {
+            const dx = Math.abs( col - to.col );
+            const dy = Math.abs( row - to.row );
+            return ( dx + dy ) + ( Math.SQRT2 - 2 ) * Math.min( dx, dy );
+        };
+
+        g.set( startIndex, 0 );
+        heap.push( startIndex, heuristic( from.col, from.row ) );
+
+        while( heap.size > 0 ){
+            const index = heap.pop();
+            if ( index == goalIndex ) break;
+            if ( closed.has( index ) ) continue;
+            closed.add( index );
+
+            const col = index % cols;
+            const row = ( index - col ) / cols;
+            const cost = g.get( index );
+
+            for( let dir=0; dir<8; dir++ ){
+                const [ dc, dr ] = NavGrid.Neighbours[ dir ];
+                const next = ( row + dr ) * cols + col + dc;
+                if ( closed.has( next ) || !this.canStep( col, row, dir ) ) continue;
+                const tentative = cost + ( ( dc != 0 && dr != 0 ) ? Math.SQRT2 : 1 );
+                if ( g.has( next ) && g.get( next ) <= tentative ) continue;
+                g.set( next, tentative );
+                cameFrom.set( next, index );
+                heap.push( next, tentative + heuristic( col + dc, row + dr ) );
+            }
+        }
+
+        if ( startIndex != goalIndex && !cameFrom.has( goalIndex ) ) return undefined;
+
+        const cells = [ goalIndex ];
+        let index = goalIndex;
+        while( index != startIndex ){
+            index = cameFrom.get( index );
+            cells.unshift( index );
+        }
+
+        const points = cells.map( index => this.cellCenter( index % cols, Math.floor( index / cols ) ) );
+        points[0].copy( start );
+        points.push( goal.clone() );
+
+        return this.smooth( points );
+    }
+
+    //Drops every waypoint that can be skipped in a straight line
+    smooth( points ){
+        if ( points.length < 3 ) return points;
+
+        const result = [ points[0] ];
+        let anchor = 0;
+
+        while( anchor < points.length - 1 ){
+            let next = anchor + 1;
+            for( let i=points.length-1; i>anchor+1; i-- ){
+                if ( Math.abs( points[i].y - points[anchor].y ) <= this.maxStep && this.clear( points[anchor], points[i] ) ){
+                    next = i;
+                    break;
+                }
+            }
+            result.push( points[next] );
+            anchor = next;
+        }
+
+        return result;
+    }
+}
+
+//Binary heap of indices ordered by priority, used as the A* open list
+class MinHeap{
+    constructor(){
+        this.items = [];
+        this.priorities = [];
+    }
+
+    get size(){
+        return this.items.length;
+    }
+
+    push( item, priority ){
+        const items = this.items;
+        const priorities = this.priorities;
+        let i = items.length;
+        items.push( item );
+        priorities.push( priority );
+        while( i > 0 ){
+            const parent = ( i - 1 ) >> 1;
+            if ( priorities[ parent ] <= priorities[ i ] ) break;
+            [ items[ parent ], items[ i ] ] = [ items[ i ], items[ parent ] ];
+            [ priorities[ parent ], priorities[ i ] ] = [ priorities[ i ], priorities[ parent ] ];
+            i = parent;
+        }
+    }
+
+    pop(){
+        const items = this.items;
+        const priorities = this.priorities;
+        const top = items[0];
+        const lastItem = items.pop();
+        const lastPriority = priorities.pop();
+        if ( items.length > 0 ){
+            items[0] = lastItem;
+            priorities[0] = lastPriority;
+            let i = 0;
+            for(;;){
+                const left = i * 2 + 1;
+                const right = left + 1;
+                let smallest = i;
+                if ( left < items.length && priorities[ left ] < priorities[ smallest ] ) smallest = left;
+                if ( right < items.length && priorities[ right ] < priorities[ smallest ] ) smallest = right;
+                if ( smallest == i ) break;
+                [ items[ smallest ], items[ i ] ] = [ items[ i ], items[ smallest ] ];
+                [ priorities[ smallest ], priorities[ i ] ] = [ priorities[ i ], priorities[ smallest ] ];
+                i = smallest;
+            }
+        }
+        return top;
+    }
+}
+
+export { NavGrid };
@@ -0,0 +1,263 @@
+import { TimeOfDay } from './TimeOfDay.js';
+
+/*Steps the rendering quality down when frames take too long and back up when there is time to spare
+Each tier sets:
+pixelRatio: fraction of the device pixel ratio, outside VR
+framebufferScale: size of the VR framebuffer
+foveation: 0-1, how much the edges of the VR view are lowered in resolution where the browser supports it
+shadows: highest TimeOfDay quality
+antialias: the VR layer's multisampling, outside VR it has no effect as the page's WebGL context
+can't change its multisampling once it is made
+envMapSize: HDRs are scaled down to this width
+Frame times are averaged, quality drops after downDelay seconds over budget and rises after upDelay
+seconds on budget. A tier that was dropped from waits twice as long each time before it is tried again,
+so quality settles instead of flickering between two tiers.
+options:
+timeOfDay: TimeOfDay whose shadows are set
+lighting: LightingManager whose HDRs are sized
+tier: starting tier name
+auto: false to stay on the starting tier
+maxShadows: TimeOfDay quality never exceeded
+fps: frame rate aimed for outside VR, in VR the headset's own rate is used
+downDelay, upDelay: seconds
+panel: true to show the tier and frame time on the page
+onChange( name, tier ): called after the tier changes
+*/
+class QualityManager{
+    static Tiers = [
+        { name: 'high', pixelRatio: 1, framebufferScale: 1, foveation: 0, shadows: 'high', antialias: true, envMapSize: 2048 },
+        { name: 'medium', pixelRatio: 1, framebufferScale: 0.9, foveation: 0.33, shadows: 'medium', antialias: true, envMapSize: 1024 },
+        { name: 'low', pixelRatio: 0.75, framebufferScale: 0.8, foveation: 0.66, shadows: 'low', antialias: false, envMapSize: 512 },
+        { name: 'lowest', pixelRatio: 0.5, framebufferScale: 0.65, foveation: 1, shadows: 'off', antialias: false, envMapSize: 256 }
+    ];
+
+    constructor( renderer, options = {} ){
+        if ( renderer === undefined ){
+            console.warn( 'QualityManager needs a THREE.WebGLRenderer instance passing to the constructor');
+            return;
+        }
+
+        this.renderer = renderer;
+        this.timeOfDay = options.timeOfDay;
+        this.lighting = options.lighting;
+        this.onChange = options.onChange;
+        this.auto = ( options.auto !== undefined ) ? options.auto : true;
+        this.maxShadows = ( options.maxShadows !== undefined ) ? options.maxShadows : 'high';
+        this.fps = ( options.fps !== undefined ) ? options.fps : 60;
+        this.downDelay = ( options.downDelay !== undefined ) ? options.downDelay : 2;
+        this.upDelay = ( options.upDelay !== undefined ) ? options.upDelay : 5;
+
+        //Exponential average of the frame time in ms
+        this.frameTime = 1000 / this.fps;
+        //Seconds spent over or under budget
+        this.over = 0;
+        this.under = 0;
+        //Seconds measurements are ignored for after a change, shaders compile and textures upload
+        this.cooldown = 3;
+        //Times each tier has been dropped from
+        this.drops = QualityManager.Tiers.map( () => 0 );
+
+        if ( options.panel ) this.createPanel();
+
+        const self = this;
+
+        renderer.xr.addEventListener( 'sessionstart', () => {
+            self.layer = undefined;
+            self.cooldown = 3;
+            self.applyXR();
+        });
+
+        let index = QualityManager.Tiers.findIndex( tier => tier.name == options.tier );
+        if ( options.tier !== undefined && index == -1 ){
+            console.warn( `QualityManager: unknown tier ${options.tier}, use ${QualityManager.Tiers.map( tier => tier.name ).join( ', ' )}` );
+        }
+        if ( index == -1 ) index = 1;
+        this.setTier( index );
+    }
+
+    get tier(){
+        return QualityManager.Tiers[ this.index ];
+    }
+
+    get budget(){
+        const session = this.renderer.xr.getSession();
+        let fps = this.fps;
+        if ( this.renderer.xr.isPresenting ) fps = ( session !== null && session.frameRate ) ? session.frameRate : 72;
+        return 1000 / fps;
+    }
+
+    setTier( index ){
+        const tiers = QualityManager.Tiers;
+        index = Math.min( Math.max( index, 0 ), tiers.length - 1 );
+        const changed = ( this.index !== index );
+        this.index = index;
+        const tier = tiers[ index ];
+
+        this.applyPixelRatio();
+
+        if ( this.renderer.xr.isPresenting ){
+            this.applyXR();
+        }else{
+            this.renderer.xr.setFramebufferScaleFactor( tier.framebufferScale );
+        }
+
+        if ( this.timeOfDay !== undefined ){
+            //The lower of the tier's shadows and the most allowed
+            const names = Object.keys( TimeOfDay.Tiers );
+            const most = names.indexOf( this.maxShadows );
+            const shadows = names[ Math.min( names.indexOf( tier.shadows ), ( most == -1 ) ? names.length - 1 : most ) ];
+            if ( this.timeOfDay.quality != shadows ) this.timeOfDay.quality = shadows;
+        }
+
+        if ( this.lighting !== undefined && this.lighting.maxSize != tier.envMapSize ){
+            const smaller = tier.envMapSize < this.lighting.maxSize;
+            this.lighting.maxSize = tier.envMapSize;
+            //Only worth loading again to save memory, bigger maps wait for the next preset
+            if ( smaller ){
+                const timeOfDay = this.timeOfDay;
+                this.lighting.refresh().then( () => {
+                    if ( timeOfDay !== undefined ) timeOfDay.needsUpdate = true;
+                });
+            }
+        }
+
+        this.over = 0;
+        this.under = 0;
+        this.cooldown = 3;
+        this.updatePanel();
+
+        if ( changed && this.onChange ) this.onChange( tier.name, tier );
+    }
+
+    applyPixelRatio(){
+        this.renderer.setPixelRatio( Math.max( window.devicePixelRatio * this.tier.pixelRatio, 0.5 ) );
+    }
+
+    //The framebuffer size and multisampling belong to the session's layer, so a new layer replaces it
+    applyXR(){
+        const session = this.renderer.xr.getSession();
+        if ( session === null ) return;
+
+        const tier = this.tier;
+        const gl = this.renderer.getContext();
+        const attributes = gl.getContextAttributes();
+        //The layer three.js made at the start of the session used the scale set before it
+        if ( this.layer === undefined ) this.layer = `${tier.framebufferScale},${attributes.antialias}`;
+
+        const settings = `${tier.framebufferScale},${tier.antialias}`;
+
+        if ( this.layer != settings && typeof XRWebGLLayer !== 'undefined' ){
+            try{
+                const layer = new XRWebGLLayer( session, gl, {
+                    antialias: tier.antialias,
+                    alpha: attributes.alpha,
+                    depth: attributes.depth,
+                    stencil: attributes.stencil,
+                    framebufferScaleFactor: tier.framebufferScale
+                });
+                session.updateRenderState( { baseLayer: layer } );
+                this.layer = settings;
+            }catch( err ){
+                console.warn( `QualityManager: could not change the XR layer, ${err.message}` );
+            }
+        }
+
+        //Foveation is set on the layer once the session is using it
+        this.foveated = undefined;
+    }
+
+    //dt in seconds, call once a frame
+    update( dt ){
+        if ( this.index === undefined ) return;
+
+        //Skip hitches such as the tab being hidden
+        if ( dt <= 0 || dt > 0.25 ) return;
+
+        const session = this.renderer.xr.getSession();
+        const layer = ( session !== null ) ? session.renderState.baseLayer : undefined;
+        if ( layer && layer !== this.foveated ){
+            if ( layer.fixedFoveation !== undefined ) layer.fixedFoveation = this.tier.foveation;
+            this.foveated = layer;
+        }
+
+        const ms = dt * 1000;
+        this.frameTime += ( ms - this.frameTime ) * 0.05;
+
+        this.panelTime = ( this.panelTime || 0 ) + dt;
+        if ( this.panelTime > 0.5 ){
+            this.panelTime = 0;
+            this.updatePanel();
+        }
+
+        if ( !this.auto ) return;
+
+        if ( this.cooldown > 0 ){
+            this.cooldown -= dt;
+            return;
+        }
+
+        const budget = this.budget;
+
+        if ( this.frameTime > budget * 1.2 ){
+            this.over += dt;
+            this.under = 0;
+        }else if ( this.frameTime < budget * 1.05 ){
+            this.under += dt;
+            this.over = 0;
+        }else{
+            this.over = 0;
+            this.under = 0;
+        }
+
+        const tiers = QualityManager.Tiers;
+
+        if ( this.over > this.downDelay && this.index < tiers.length - 1 ){
+            this.drops[ this.index ]++;
+            this.setTier( this.index + 1 );
+        }else if ( this.index > 0 && this.under > this.upDelay * Math.pow( 2, this.drops[ this.index - 1 ] ) ){
+            this.setTier( this.index - 1 );
+        }
+    }
+
+    createPanel(){
+        const panel = document.createElement( 'div' );
+        panel.style.cssText = 'position:fixed;top:48px;left:0;width:160px;padding:4px;font:11px Helvetica,Arial,sans-serif;color:#0f0;background:rgba(0,0,0,0.7);z-index:10000;cursor:pointer;white-space:pre';
+        panel.title = 'Click to cycle the tiers, auto switches again after the last one';
+        document.body.appendChild( panel );
+        this.panel = panel;
+
+        const self = this;
+
+        //Auto, then each tier fixed, then back to auto
+        panel.addEventListener( 'click', () => {
+            if ( self.auto ){
+                self.auto = false;
+                self.setTier( 0 );
+            }else if ( self.index < QualityManager.Tiers.length - 1 ){
+                self.setTier( self.index + 1 );
+            }else{
+                self.auto = true;
+                self.drops.fill( 0 );
+                self.setTier( 1 );
+            }
+        });
+    }
+
+    updatePanel(){
+        if ( this.panel === undefined ) return;
+        const tier = this.tier;
+        const shadows = ( this.timeOfDay !== undefined ) ? this.timeOfDay.quality : tier.shadows;
+        this.panel.textContent = `Quality: ${tier.name} (${( this.auto ) ? 'auto' : 'fixed'})
+Frame: ${this.frameTime.toFixed( 1 )} / ${this.budget.toFixed( 1 )} ms
+Pixel ratio: ${this.renderer.getPixelRatio().toFixed( 2 )}
+XR scale: ${tier.framebufferScale} foveation: ${tier.foveation}
+Shadows: ${shadows} AA: ${tier.antialias}
+Env map: ${tier.envMapSize}`;
+    }
+
+    set panelVisible( value ){
+        if ( this.panel !== undefined ) this.panel.style.display = ( value ) ? 'block' : 'none';
+    }
+}
+
+export { QualityManager };
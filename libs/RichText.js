@@ -0,0 +1,295 @@
+/*Lightweight markup for CanvasUI text, set markup: true on an element to use it
+# Heading and ## Smaller heading at the start of a line
+- or * and a space at the start of a line for a bullet
+**bold** and *italic*
+{#e33 coloured text}, any CSS colour without spaces can follow the brace
+:icon-name: a Font Awesome solid icon, fas.js must be loaded, unknown names are left as text
+A new line in the text starts a new line, an empty line leaves a gap
+A backslash shows the next character as it is, \* or \{
+Lines are worked out by layout for a width and drawn by draw, each line is as tall as
+its own font so headings don't overlap the lines around them.
+*/
+class RichText{
+    static Headings = [ 1.5, 1.25 ];
+    //Font Awesome icons sit on the baseline and drop below it by this fraction of their height
+    static IconDescent = 0.125;
+
+    constructor( source = '' ){
+        this.source = source;
+        this.blocks = source.split( '\n' ).map( line => this.parseLine( line ) );
+    }
+
+    //Returns the icon's [ width, height, ligatures, unicode, path ] from fas.js
+    static getIcon( name ){
+        if ( typeof window === 'undefined' || window.___FONT_AWESOME___ === undefined ) return;
+        const styles = window.___FONT_AWESOME___.styles;
+        const icons = styles.fas || styles.fa;
+        return ( icons !== undefined ) ? icons[ name ] : undefined;
+    }
+
+    parseLine( line ){
+        if ( line.trim() == '' ) return { type: 'space', runs: [] };
+
+        const heading = line.match( /^(#{1,2})\s+(.*)$/ );
+        if ( heading !== null ) return { type: 'heading', level: heading[1].length, runs: this.parseInline( heading[2], true ) };
+
+        const bullet = line.match( /^\s*[-*]\s+(.*)$/ );
+        if ( bullet !== null ) return { type: 'bullet', runs: this.parseInline( bullet[1] ) };
+
+        return { type: 'text', runs: this.parseInline( line ) };
+    }
+
+    //Splits a line into runs of one style, { text, bold, italic, color } or { icon, bold, italic, color }
+    parseInline( txt, bold = false ){
+        const runs = [];
+        const colors = [];
+        let italic = false;
+        let text = '';
+
+        const flush = () => {
+            if ( text != '' ) runs.push( { text, bold, italic, color: colors[ colors.length - 1 ] } );
+            text = '';
+        };
+
+        let i = 0;
+        while( i < txt.length ){
+            const char = txt[i];
+            const rest = txt.substring( i );
+
+            if ( char == '\\' && i < txt.length - 1 ){
+                text += txt[ i + 1 ];
+                i += 2;
+                continue;
+            }
+
+            if ( rest.startsWith( '**' ) ){
+                flush();
+                bold = !bold;
+                i += 2;
+                continue;
+            }
+
+            if ( char == '*' ){
+                flush();
+                italic = !italic;
+                i++;
+                continue;
+            }
+
+            const color = rest.match( /^\{([^\s{}]+)\s/ );
+            if ( color !== null ){
+                flush();
+                colors.push( color[1] );
+                i += color[0].length;
+                continue;
+            }
+
+            if ( char == '}' && colors.length > 0 ){
+                flush();
+                colors.pop();
+                i++;
+                continue;
+            }
+
+            const icon = rest.match( /^:([a-z0-9-]+):/ );
+            if ( icon !== null && RichText.getIcon( icon[1] ) !== undefined ){
+                flush();
+                runs.push( { icon: icon[1], bold, italic, color: colors[ colors.length - 1 ] } );
+                i += icon[0].length;
+                continue;
+            }
+
+            text += char;
+            i++;
+        }
+
+        flush();
+
+        return runs;
+    }
+
+    getFont( run, size, fontFamily ){
+        return `${( run.italic ) ? 'italic ' : ''}${( run.bold ) ? 'bold ' : ''}${size}px '${fontFamily}'`;
+    }
+
+    /*Breaks the blocks into lines no wider than width
+    style: fontSize, fontFamily and leading of the element
+    returns { lines, width, height }, a line is { y, height, ascent, width, pieces }
+    and a piece is { x, text or icon, font, color, size } with x from the left of the text*/
+    layout( context, width, style ){
+        const lines = [];
+        let y = 0;
+
+        this.blocks.forEach( block => {
+            const size = ( block.type == 'heading' ) ? Math.round( style.fontSize * RichText.Headings[ block.level - 1 ] ) : style.fontSize;
+            const lineHeight = size + style.leading;
+
+            if ( block.type == 'space' ){
+                y += lineHeight/2;
+                return;
+            }
+
+            const indent = ( block.type == 'bullet' ) ? Math.round( size * 1.2 ) : 0;
+            const words = this.getWords( context, block.runs, size, style.fontFamily );
+            //addWord can start new lines, so the current one is kept where it can be swapped
+            const state = { line: { y, height: lineHeight, ascent: size * 0.8, width: indent, pieces: [] } };
+
+            if ( block.type == 'bullet' ){
+                state.line.pieces.push( { x: Math.round( size * 0.3 ), text: '•', font: this.getFont( {}, size, style.fontFamily ), size } );
+            }
+
+            const newLine = () => {
+                lines.push( state.line );
+                y += lineHeight;
+                state.line = { y, height: lineHeight, ascent: size * 0.8, width: indent, pieces: [] };
+            };
+
+            words.forEach( word => {
+                const line = state.line;
+                const empty = ( line.width == indent );
+                const gap = ( empty ) ? 0 : word.space;
+
+                if ( !empty && line.width + gap + word.width > width ){
+                    newLine();
+                }else{
+                    line.width += gap;
+                }
+                this.addWord( context, state, word, width, newLine );
+            });
+
+            newLine();
+        });
+
+        const textWidth = Math.max( 0, ...lines.map( line => line.width ) );
+
+        return { lines, width: Math.ceil( textWidth ), height: Math.ceil( y ) };
+    }
+
+    //Groups runs into words, a word can change style part way through and only breaks at spaces
+    getWords( context, runs, size, fontFamily ){
+        const words = [];
+        let word;
+        let space = 0;
+
+        const finish = () => {
+            if ( word !== undefined ) words.push( word );
+            word = undefined;
+        };
+
+        const start = () => {
+            if ( word === undefined ) word = { pieces: [], width: 0, space };
+        };
+
+        runs.forEach( run => {
+            const font = this.getFont( run, size, fontFamily );
+
+            if ( run.icon !== undefined ){
+                const icon = RichText.getIcon( run.icon );
+                const iconWidth = Math.round( size * icon[0] / icon[1] );
+                start();
+                word.pieces.push( { icon: run.icon, width: iconWidth, color: run.color, size } );
+                word.width += iconWidth;
+                return;
+            }
+
+            context.font = font;
+
+            run.text.split( /(\s+)/ ).forEach( part => {
+                if ( part == '' ) return;
+                if ( /^\s+$/.test( part ) ){
+                    finish();
+                    space = context.measureText( ' ' ).width;
+                    return;
+                }
+                start();
+                const partWidth = context.measureText( part ).width;
+                word.pieces.push( { text: part, font, width: partWidth, color: run.color, size } );
+                word.width += partWidth;
+            });
+        });
+
+        finish();
+
+        return words;
+    }
+
+    //Puts a word on the line, a word wider than the whole width is split between letters
+    addWord( context, state, word, width, newLine ){
+        const line = state.line;
+        if ( word.width <= width - line.width ){
+            word.pieces.forEach( piece => {
+                line.pieces.push( Object.assign( {}, piece, { x: line.width } ) );
+                line.width += piece.width;
+            });
+            return;
+        }
+
+        word.pieces.forEach( piece => {
+            if ( piece.icon !== undefined ){
+                if ( state.line.width + piece.width > width && state.line.pieces.length > 0 ) newLine();
+                state.line.pieces.push( Object.assign( {}, piece, { x: state.line.width } ) );
+                state.line.width += piece.width;
+                return;
+            }
+
+            context.font = piece.font;
+            let text = piece.text;
+
+            while( text != '' ){
+                const line = state.line;
+                let count = text.length;
+                while( count > 1 && line.width + context.measureText( text.substring( 0, count ) ).width > width ) count--;
+                //Nothing fits on a line that already has something on it
+                if ( count == 1 && line.width + context.measureText( text[0] ).width > width && line.pieces.length > 0 ){
+                    newLine();
+                    continue;
+                }
+                const part = text.substring( 0, count );
+                const partWidth = context.measureText( part ).width;
+                line.pieces.push( Object.assign( {}, piece, { x: line.width, text: part, width: partWidth } ) );
+                line.width += partWidth;
+                text = text.substring( count );
+                if ( text != '' ) newLine();
+            }
+        });
+    }
+
+    /*Draws lines from layout with their top at y, textAlign places each line in the width
+    Runs without a colour use the context's fillStyle*/
+    draw( context, lines, x, y, width, textAlign = 'left' ){
+        const color = context.fillStyle;
+        const align = context.textAlign;
+        context.textAlign = 'left';
+
+        lines.forEach( line => {
+            const top = y + line.y;
+            if ( top + line.height < 0 ) return;
+
+            let left = x;
+            if ( textAlign == 'center' ) left += ( width - line.width )/2;
+            if ( textAlign == 'right' ) left += width - line.width;
+            const baseline = top + line.ascent;
+
+            line.pieces.forEach( piece => {
+                context.fillStyle = ( piece.color !== undefined ) ? piece.color : color;
+                if ( piece.icon !== undefined ){
+                    const icon = RichText.getIcon( piece.icon );
+                    const scale = piece.size / icon[1];
+                    context.save();
+                    context.translate( left + piece.x, baseline - piece.size * ( 1 - RichText.IconDescent ) );
+                    context.scale( scale, scale );
+                    context.fill( new Path2D( icon[4] ) );
+                    context.restore();
+                }else{
+                    context.font = piece.font;
+                    context.fillText( piece.text, left + piece.x, baseline );
+                }
+            });
+        });
+
+        context.fillStyle = color;
+        context.textAlign = align;
+    }
+}
+
+export { RichText };
@@ -0,0 +1,127 @@
+import { InstancedMesh,
+        MeshBasicMaterial,
+        Shape,
+        ShapeGeometry,
+        Object3D,
+        Color,
+        Vector3
+       } from './three/three.module.js';
+
+/*Breadcrumb arrows on the floor along a route
+A brightness wave runs along the arrows towards the destination.
+options:
+spacing: metres between arrows
+color: hex colour of the arrows
+maxArrows: most arrows that can be shown, longer routes are spaced out to fit
+*/
+class RouteGuide{
+    constructor( scene, options = {} ){
+        if ( scene === undefined ){
+            console.warn( 'RouteGuide needs a THREE.Scene instance passing to the constructor');
+            return;
+        }
+
+        this.spacing = ( options.spacing !== undefined ) ? options.spacing : 0.75;
+        this.maxArrows = ( options.maxArrows !== undefined ) ? options.maxArrows : 200;
+        this.color = new Color( ( options.color !== undefined ) ? options.color : 0x00ffff );
+        this.dimColor = this.color.clone().multiplyScalar( 0.25 );
+        this.speed = 3;
+
+        //Chevron pointing down -z, laid flat on the floor
+        const shape = new Shape();
+        shape.moveTo( 0, 0.15 );
+        shape.lineTo( 0.15, -0.05 );
+        shape.lineTo( 0.08, -0.05 );
+        shape.lineTo( 0, 0.05 );
+        shape.lineTo( -0.08, -0.05 );
+        shape.lineTo( -0.15, -0.05 );
+        shape.closePath();
+        const geometry = new ShapeGeometry( shape ).rotateX( -Math.PI/2 );
+
+        const material = new MeshBasicMaterial( { transparent: true, opacity: 0.9, depthWrite: false } );
+        this.mesh = new InstancedMesh( geometry, material, this.maxArrows );
+        this.mesh.count = 0;
+        this.mesh.frustumCulled = false;
+        this.mesh.visible = false;
+        scene.add( this.mesh );
+
+        this.dummy = new Object3D();
+        this.workingColor = new Color();
+        this.time = 0;
+    }
+
+    get visible(){
+        return this.mesh.visible;
+    }
+
+    //points is an array of world positions on the floor
+    show( points ){
+        if ( points === undefined || points.length < 2 ){
+            this.hide();
+            return;
+        }
+
+        let length = 0;
+        for( let i=1; i<points.length; i++ ) length += points[i].distanceTo( points[i-1] );
+
+        const spacing = Math.max( this.spacing, length / this.maxArrows );
+        const dummy = this.dummy;
+        const dir = new Vector3();
+        let count = 0;
+        //Distance along the current segment where the next arrow goes
+        let offset = spacing * 0.5;
+
+        for( let i=1; i<points.length && count<this.maxArrows; i++ ){
+            const a = points[i-1];
+            const b = points[i];
+            const segment = a.distanceTo( b );
+            dir.copy( b ).sub( a ).normalize();
+
+            while( offset <= segment && count<this.maxArrows ){
+                dummy.position.copy( a ).addScaledVector( dir, offset );
+                //Just above the floor to avoid z fighting
+                dummy.position.y += 0.02;
+                dummy.rotation.set( 0, Math.atan2( -dir.x, -dir.z ), 0 );
+                dummy.updateMatrix();
+                this.mesh.setMatrixAt( count, dummy.matrix );
+                this.mesh.setColorAt( count, this.color );
+                count++;
+                offset += spacing;
+            }
+
+            offset -= segment;
+        }
+
+        this.mesh.count = count;
+        this.mesh.instanceMatrix.needsUpdate = true;
+        if ( this.mesh.instanceColor ) this.mesh.instanceColor.needsUpdate = true;
+        this.mesh.visible = true;
+        this.time = 0;
+    }
+
+    hide(){
+        this.mesh.visible = false;
+        this.mesh.count = 0;
+    }
+
+    update( dt ){
+        if ( !this.mesh.visible || this.mesh.count == 0 ) return;
+
+        this.time += dt;
+
+        const count = this.mesh.count;
+        const head = ( this.time * this.speed ) % ( count + 4 );
+
+        for( let i=0; i<count; i++ ){
+            //Bright arrows near the head of the wave, fading behind it
+            const distance = head - i;
+            const t = ( distance >= 0 && distance < 4 ) ? 1 - distance / 4 : 0;
+            this.workingColor.copy( this.dimColor ).lerp( this.color, t );
+            this.mesh.setColorAt( i, this.workingColor );
+        }
+
+        this.mesh.instanceColor.needsUpdate = true;
+    }
+}
+
+export { RouteGuide };
@@ -0,0 +1,146 @@
+/*Scene manifest, see scene.json
+{
+    name: title of the building
+    model: { url: glb or gltf, draco: decoder folder, basis: KTX2 transcoder folder, preview: small glb shown while the model loads, without one the model is shown a piece at a time }
+    environment: { preset: lighting preset id, url: hdr used when there is no preset, background: true to show it behind the model }
+    hotspots: url of the hotspot data file
+    spawn: { position: [x, y, z], rotation: degrees about the vertical axis }
+    collision: { name: text the collision mesh name contains } or { regex: pattern }
+    location: { latitude: degrees north, north: degrees the model's north is turned from -z } for the time of day
+    materials: url of the material rules file
+    media: url of the file of images and videos shown on meshes
+    loading: { title, logo: image url, background: css colour or image url } for the loading screen
+    performance: ModelOptimizer options such as the rooms and portals of the building
+}
+Relative urls are resolved against the manifest url, so a building and its assets can
+live in their own folder. The default decoder folders belong to the app and are resolved
+against the page.
+*/
+class SceneManifest{
+    static Defaults = {
+        name: 'Untitled',
+        model: { draco: './libs/three/js/draco/', basis: './libs/three/js/basis/' },
+        spawn: { position: [ 0, 0, 0 ], rotation: 0 },
+        collision: { name: 'PROXY' },
+        location: { latitude: 53.58, north: 0 }
+    };
+
+    constructor( json, url = document.baseURI ){
+        this.errors = [];
+        this.url = url;
+
+        const defaults = SceneManifest.Defaults;
+
+        if ( json === null || typeof json !== 'object' ){
+            this.errors.push( 'SceneManifest: the file is not a JSON object' );
+            return;
+        }
+
+        this.name = ( typeof json.name === 'string' ) ? json.name : defaults.name;
+
+        if ( json.model === undefined || typeof json.model.url !== 'string' ){
+            this.errors.push( 'SceneManifest: model.url is required' );
+        }else{
+            this.model = {
+                url: this.resolve( json.model.url ),
+                //The decoder paths are folders so they keep their trailing slash
+                draco: ( json.model.draco !== undefined ) ? this.resolve( json.model.draco ) : this.resolve( defaults.model.draco, document.baseURI ),
+                basis: ( json.model.basis !== undefined ) ? this.resolve( json.model.basis ) : this.resolve( defaults.model.basis, document.baseURI )
+            };
+            if ( typeof json.model.preview === 'string' ) this.model.preview = this.resolve( json.model.preview );
+        }
+
+        if ( json.environment !== undefined ){
+            const environment = json.environment;
+            this.environment = {
+                preset: environment.preset,
+                url: ( typeof environment.url === 'string' ) ? this.resolve( environment.url ) : undefined,
+                background: ( environment.background !== undefined ) ? environment.background : true
+            };
+        }
+
+        if ( typeof json.hotspots === 'string' ) this.hotspots = this.resolve( json.hotspots );
+
+        const spawn = Object.assign( {}, defaults.spawn, json.spawn );
+        if ( !Array.isArray( spawn.position ) || spawn.position.length != 3 ){
+            this.errors.push( 'SceneManifest: spawn.position must be [x, y, z]' );
+            spawn.position = defaults.spawn.position;
+        }
+        this.spawn = spawn;
+
+        const collision = ( json.collision !== undefined ) ? json.collision : defaults.collision;
+        if ( typeof collision.regex === 'string' ){
+            try{
+                this.collisionTest = new RegExp( collision.regex );
+            }catch( err ){
+                this.errors.push( `SceneManifest: collision.regex ${err.message}` );
+            }
+        }
+        if ( this.collisionTest === undefined ){
+            const name = ( typeof collision.name === 'string' ) ? collision.name : defaults.collision.name;
+            this.collisionTest = { test: ( value ) => value.indexOf( name ) != -1 };
+        }
+
+        this.location = Object.assign( {}, defaults.location, json.location );
+
+        if ( typeof json.materials === 'string' ) this.materials = this.resolve( json.materials );
+        if ( typeof json.media === 'string' ) this.media = this.resolve( json.media );
+
+        if ( json.performance !== undefined && typeof json.performance === 'object' ) this.performance = json.performance;
+
+        this.loading = Object.assign( { title: this.name }, json.loading );
+        if ( typeof this.loading.logo === 'string' ) this.loading.logo = this.resolve( this.loading.logo );
+        //Only image backgrounds are urls, colours are left alone
+        if ( typeof this.loading.background === 'string' && /\.(png|jpe?g|webp|gif|svg)$/i.test( this.loading.background ) ){
+            this.loading.background = this.resolve( this.loading.background );
+        }
+    }
+
+    //Uses the scene query parameter when no url is given
+    //manager is an optional THREE.LoadingManager that counts the file
+    static load( url, manager ){
+        if ( url === undefined ){
+            const param = new URLSearchParams( window.location.search ).get( 'scene' );
+            url = ( param !== null ) ? param : './scene.json';
+        }
+
+        const absolute = new URL( url, document.baseURI ).href;
+
+        if ( manager !== undefined ) manager.itemStart( absolute );
+
+        return fetch( absolute )
+            .then( response => {
+                if ( !response.ok ) throw new Error( `${url} ${response.status} ${response.statusText}` );
+                return response.json();
+            })
+            .then( obj => {
+                const manifest = new SceneManifest( obj, absolute );
+                manifest.errors.forEach( msg => console.error( msg ) );
+                if ( manifest.model === undefined ) throw new Error( `${url} has no model` );
+                return manifest;
+            })
+            .then( result => {
+                if ( manager !== undefined ) manager.itemEnd( absolute );
+                return result;
+            }, err => {
+                //Lets the caller say which file failed
+                err.url = absolute;
+                if ( manager !== undefined ){
+                    manager.itemError( absolute );
+                    manager.itemEnd( absolute );
+                }
+                throw err;
+            });
+    }
+
+    //base is the manifest url unless given
+    resolve( path, base = this.url ){
+        return new URL( path, base ).href;
+    }
+
+    isCollisionMesh( name ){
+        return this.collisionTest.test( name );
+    }
+}
+
+export { SceneManifest };
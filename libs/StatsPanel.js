@@ -0,0 +1,131 @@
+import { CanvasUI } from './CanvasUI.js';
+
+/*Performance figures on a panel in the scene, the page's Stats can't be seen in VR
+Shows the frame rate and frame times, what renderer.info counted for the last frame,
+the JS heap where the browser reports it and the QualityManager tier.
+Pressing X and Y on the left controller together, or both thumbsticks on controllers
+without them, shows and hides it.
+options:
+quality: QualityManager whose tier is shown
+interval: seconds between refreshes, drawing the canvas every frame would cost more than it measures
+*/
+class StatsPanel{
+    static Rows = [ 'fps', 'frame', 'calls', 'triangles', 'textures', 'geometries', 'heap', 'quality' ];
+
+    constructor( renderer, options = {} ){
+        if ( renderer === undefined ){
+            console.warn( 'StatsPanel needs a THREE.WebGLRenderer instance passing to the constructor');
+            return;
+        }
+
+        this.renderer = renderer;
+        this.quality = options.quality;
+        this.interval = ( options.interval !== undefined ) ? options.interval : 0.5;
+
+        this.elapsed = 0;
+        this.frames = 0;
+        this.slowest = 0;
+        this.comboDown = false;
+
+        const rows = StatsPanel.Rows;
+        const height = 70 + rows.length * 44;
+        const config = {
+            panelSize: { width: 0.16, height: 0.16 * height / 512 },
+            width: 512,
+            height,
+            opacity: 0.9,
+            body: { fontSize: 30, backgroundColor: "#111", fontColor: "#0f0" },
+            title: { type: "text", position:{ top: 10, left: 10 }, width: 492, height: 50, fontSize: 34, fontColor: "#fff", textAlign: "center" }
+        };
+        const content = { title: "Performance" };
+
+        rows.forEach( ( name, i ) => {
+            config[ name ] = { type: "text", position:{ top: 65 + i * 44, left: 20 }, width: 472, height: 44, fontSize: 28, textAlign: "left" };
+            content[ name ] = "";
+        });
+
+        this.ui = new CanvasUI( content, config );
+        //Stands up behind the wrist map, tipped back towards the user
+        this.ui.mesh.position.set( 0, 0.1, 0.13 );
+        this.ui.mesh.rotation.x = -Math.PI/6;
+        this.ui.visible = false;
+    }
+
+    get visible(){
+        return this.ui.visible;
+    }
+
+    set visible( value ){
+        this.ui.visible = value;
+        //Start the next reading afresh rather than averaging in the time it was hidden
+        this.elapsed = 0;
+        this.frames = 0;
+        this.slowest = 0;
+    }
+
+    toggle(){
+        this.visible = !this.visible;
+    }
+
+    //Attaches the panel to a controller grip
+    attach( grip ){
+        if ( this.ui.mesh.parent ) this.ui.mesh.parent.remove( this.ui.mesh );
+        grip.add( this.ui.mesh );
+    }
+
+    //Toggles the panel on the frame the button combination goes down, controllers keep their XRInputSource in userData
+    checkCombo( controllers ){
+        if ( controllers === undefined ) return;
+
+        const pressed = ( gamepad, index ) => ( gamepad !== undefined && gamepad.buttons[ index ] !== undefined && gamepad.buttons[ index ].pressed );
+        let xy = false;
+        let sticks = 0;
+
+        controllers.forEach( controller => {
+            const inputSource = controller.userData.inputSource;
+            if ( inputSource === undefined || !inputSource.gamepad ) return;
+            const gamepad = inputSource.gamepad;
+            if ( inputSource.handedness == 'left' && pressed( gamepad, 4 ) && pressed( gamepad, 5 ) ) xy = true;
+            if ( pressed( gamepad, 3 ) ) sticks++;
+        });
+
+        const down = xy || sticks == 2;
+        if ( down && !this.comboDown ) this.toggle();
+        this.comboDown = down;
+    }
+
+    //dt in seconds, call once a frame before rendering, renderer.info still holds the last frame
+    update( dt ){
+        if ( !this.visible ) return;
+
+        this.elapsed += dt;
+        this.frames++;
+        this.slowest = Math.max( this.slowest, dt );
+
+        if ( this.elapsed >= this.interval ){
+            const render = this.renderer.info.render;
+            const memory = this.renderer.info.memory;
+            const ui = this.ui;
+
+            ui.updateElement( 'fps', `FPS: ${Math.round( this.frames / this.elapsed )}` );
+            ui.updateElement( 'frame', `Frame: ${( this.elapsed / this.frames * 1000 ).toFixed( 1 )} ms, worst ${( this.slowest * 1000 ).toFixed( 1 )}` );
+            ui.updateElement( 'calls', `Draw calls: ${render.calls}` );
+            ui.updateElement( 'triangles', `Triangles: ${render.triangles.toLocaleString()}` );
+            ui.updateElement( 'textures', `Textures: ${memory.textures}` );
+            ui.updateElement( 'geometries', `Geometries: ${memory.geometries}` );
+            //Only Chromium based browsers report the heap
+            const heap = ( performance.memory !== undefined ) ? `${( performance.memory.usedJSHeapSize / 1048576 ).toFixed( 0 )} of ${( performance.memory.jsHeapSizeLimit / 1048576 ).toFixed( 0 )} MB` : 'not available';
+            ui.updateElement( 'heap', `JS heap: ${heap}` );
+            const quality = ( this.quality !== undefined && this.quality.tier !== undefined ) ? `${this.quality.tier.name} (${( this.quality.auto ) ? 'auto' : 'fixed'})` : 'not set';
+            ui.updateElement( 'quality', `Quality: ${quality}` );
+
+            this.elapsed = 0;
+            this.frames = 0;
+            this.slowest = 0;
+        }
+
+        this.ui.update();
+    }
+}
+
+export { StatsPanel };
@@ -0,0 +1,227 @@
+import { BufferGeometry,
+        BufferAttribute,
+        Line,
+        LineBasicMaterial,
+        Mesh,
+        MeshBasicMaterial,
+        PlaneGeometry,
+        RingGeometry,
+        Raycaster,
+        Vector3,
+        Matrix4
+       } from './three/three.module.js';
+
+/*Teleport locomotion
+A parabolic arc is cast from the controller ray. The arc is tested segment by
+segment against the collision mesh and the landing point is only valid when it
+hits a face that is close enough to horizontal to walk on.
+options:
+velocity: launch speed of the arc in m/s
+gravity: downward acceleration in m/s2
+segments: number of line segments used for the arc
+maxSlope: steepest walkable floor in radians
+fade: fade the view to black while moving
+fadeDuration: seconds for each half of the fade
+*/
+class TeleportController{
+    constructor( scene, camera, options = {} ){
+        if ( scene === undefined ){
+            console.warn( 'TeleportController needs a THREE.Scene instance passing to the constructor');
+            return;
+        }
+        if ( camera === undefined ){
+            console.warn( 'TeleportController needs a THREE.Camera instance passing to the constructor');
+            return;
+        }
+
+        this.scene = scene;
+        this.camera = camera;
+
+        this.velocity = ( options.velocity !== undefined ) ? options.velocity : 8;
+        this.gravity = ( options.gravity !== undefined ) ? options.gravity : 9.8;
+        this.segments = ( options.segments !== undefined ) ? options.segments : 30;
+        this.maxSlope = ( options.maxSlope !== undefined ) ? options.maxSlope : Math.PI/6;
+        this.fade = ( options.fade !== undefined ) ? options.fade : true;
+        this.fadeDuration = ( options.fadeDuration !== undefined ) ? options.fadeDuration : 0.2;
+
+        this.raycaster = new Raycaster();
+        this.mat4 = new Matrix4();
+        this.origin = new Vector3();
+        this.direction = new Vector3();
+        this.normal = new Vector3();
+        this.prev = new Vector3();
+        this.next = new Vector3();
+        this.vec3 = new Vector3();
+
+        this.target = undefined;
+
+        this.createArc();
+        this.createReticle();
+        this.createFade();
+    }
+
+    createArc(){
+        const positions = new Float32Array( ( this.segments + 1 ) * 3 );
+        const geometry = new BufferGeometry();
+        geometry.setAttribute( 'position', new BufferAttribute( positions, 3 ) );
+
+        this.validColor = 0x00ffff;
+        this.invalidColor = 0xff3333;
+
+        this.arc = new Line( geometry, new LineBasicMaterial( { color: this.validColor } ) );
+        this.arc.frustumCulled = false;
+        this.arc.visible = false;
+        this.scene.add( this.arc );
+    }
+
+    createReticle(){
+        const geometry = new RingGeometry( 0.2, 0.25, 32 ).rotateX( -Math.PI/2 );
+        const material = new MeshBasicMaterial( { color: this.validColor } );
+        this.reticle = new Mesh( geometry, material );
+        this.reticle.visible = false;
+        this.scene.add( this.reticle );
+    }
+
+    createFade(){
+        const material = new MeshBasicMaterial( { color: 0x000000, transparent: true, opacity: 0, depthTest: false } );
+        this.fadeMesh = new Mesh( new PlaneGeometry( 1, 1 ), material );
+        this.fadeMesh.position.set( 0, 0, -0.2 );
+        this.fadeMesh.renderOrder = 999;
+        this.fadeMesh.visible = false;
+        this.camera.add( this.fadeMesh );
+    }
+
+    get busy(){
+        return ( this.fadeData !== undefined );
+    }
+
+    hide(){
+        this.arc.visible = false;
+        this.reticle.visible = false;
+        this.target = undefined;
+    }
+
+    //Casts the arc from the controller ray and stores the landing point in this.target if it is walkable
+    update( controller, proxy ){
+        if ( proxy === undefined || this.busy ){
+            this.hide();
+            return;
+        }
+
+        this.mat4.identity().extractRotation( controller.matrixWorld );
+        this.origin.setFromMatrixPosition( controller.matrixWorld );
+        this.direction.set( 0, 0, -1 ).applyMatrix4( this.mat4 );
+
+        const positions = this.arc.geometry.attributes.position;
+        //Total flight time used to space the segments, enough to fall a few metres below the controller
+        const flightTime = 2 * this.velocity / this.gravity;
+        const step = flightTime / this.segments;
+
+        let hit;
+        let count = 0;
+
+        this.prev.copy( this.origin );
+        positions.setXYZ( count++, this.prev.x, this.prev.y, this.prev.z );
+
+        for( let i=1; i<=this.segments; i++ ){
+            const t = i * step;
+            this.next.copy( this.direction ).multiplyScalar( this.velocity * t ).add( this.origin );
+            this.next.y -= 0.5 * this.gravity * t * t;
+
+            this.vec3.copy( this.next ).sub( this.prev );
+            const length = this.vec3.length();
+            this.raycaster.set( this.prev, this.vec3.normalize() );
+            this.raycaster.far = length;
+
+            const intersects = this.raycaster.intersectObject( proxy );
+            if ( intersects.length > 0 ){
+                hit = intersects[0];
+                positions.setXYZ( count++, hit.point.x, hit.point.y, hit.point.z );
+                break;
+            }
+
+            positions.setXYZ( count++, this.next.x, this.next.y, this.next.z );
+            this.prev.copy( this.next );
+        }
+
+        this.raycaster.far = Infinity;
+
+        this.arc.geometry.setDrawRange( 0, count );
+        positions.needsUpdate = true;
+        this.arc.visible = true;
+
+        let valid = false;
+
+        if ( hit !== undefined && hit.face ){
+            this.normal.copy( hit.face.normal ).transformDirection( hit.object.matrixWorld );
+            valid = ( this.normal.y >= Math.cos( this.maxSlope ) );
+        }
+
+        if ( valid ){
+            if ( this.target === undefined ) this.target = new Vector3();
+            this.target.copy( hit.point );
+            this.reticle.position.copy( hit.point );
+            this.reticle.visible = true;
+        }else{
+            this.target = undefined;
+            this.reticle.visible = false;
+        }
+
+        this.arc.material.color.setHex( ( valid ) ? this.validColor : this.invalidColor );
+    }
+
+    //Moves the dolly so the users head ends up above the target, returns false if there is no valid target
+    teleport( dolly ){
+        if ( this.target === undefined || this.busy ){
+            this.hide();
+            return false;
+        }
+
+        const target = this.target.clone();
+        //Keep the offset of the headset from the dolly origin so the head, not the dolly, lands on the reticle
+        const head = this.camera.getWorldPosition( this.vec3 ).sub( dolly.position );
+        target.x -= head.x;
+        target.z -= head.z;
+
+        this.hide();
+
+        if ( this.fade ){
+            this.fadeData = { dolly, target, elapsed: 0, moved: false };
+            this.fadeMesh.visible = true;
+        }else{
+            dolly.position.copy( target );
+        }
+
+        return true;
+    }
+
+    //Advances the fade, needs calling every frame
+    updateFade( dt ){
+        const data = this.fadeData;
+        if ( data === undefined ) return;
+
+        data.elapsed += dt;
+
+        let opacity;
+
+        if ( data.elapsed < this.fadeDuration ){
+            opacity = data.elapsed / this.fadeDuration;
+        }else{
+            if ( !data.moved ){
+                data.dolly.position.copy( data.target );
+                data.moved = true;
+            }
+            opacity = 2 - data.elapsed / this.fadeDuration;
+        }
+
+        if ( opacity <= 0 ){
+            this.fadeMesh.material.opacity = 0;
+            this.fadeMesh.visible = false;
+            this.fadeData = undefined;
+        }else{
+            this.fadeMesh.material.opacity = Math.min( opacity, 1 );
+        }
+    }
+}
+
+export { TeleportController };
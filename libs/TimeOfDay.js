@@ -0,0 +1,234 @@
+import { DirectionalLight,
+        Color,
+        Vector3,
+        MathUtils,
+        BasicShadowMap,
+        PCFShadowMap,
+        PCFSoftShadowMap
+       } from './three/three.module.js';
+
+/*Sun position from a date, time and latitude driving a shadow casting light
+The time is local solar time, 12:00 is when the sun is highest, so no time zone or
+longitude is needed. The background blends between the night, sunrise and sunset
+presets of the LightingManager as the sun rises and sets.
+three.js has no cascaded shadows in its core, a single shadow map follows the viewer
+instead. Each quality tier sets its resolution, filtering and how far it reaches, the
+shadow map is only rendered again when the sun or the viewer moves far enough.
+options:
+latitude: degrees north
+north: degrees the model's north is turned from -z, clockwise seen from above
+date: Date, only the day of the year is used
+hours: solar time as decimal hours
+quality: off | low | medium | high
+sunIntensity: light intensity with the sun high in the sky
+presets: { night, sunrise, sunset } lighting preset ids to blend
+*/
+class TimeOfDay{
+    static Tiers = {
+        off: { shadows: false },
+        low: { shadows: true, mapSize: 1024, extent: 12, type: BasicShadowMap, bias: -0.002 },
+        medium: { shadows: true, mapSize: 2048, extent: 20, type: PCFShadowMap, bias: -0.001 },
+        high: { shadows: true, mapSize: 4096, extent: 30, type: PCFSoftShadowMap, bias: -0.0005 }
+    };
+
+    constructor( renderer, scene, lighting, options = {} ){
+        if ( renderer === undefined || scene === undefined || lighting === undefined ){
+            console.warn( 'TimeOfDay needs a THREE.WebGLRenderer, THREE.Scene and LightingManager instance passing to the constructor');
+            return;
+        }
+
+        this.renderer = renderer;
+        this.scene = scene;
+        this.lighting = lighting;
+
+        this.latitude = ( options.latitude !== undefined ) ? options.latitude : 53.58;
+        this.north = ( options.north !== undefined ) ? options.north : 0;
+        this.date = ( options.date !== undefined ) ? options.date : new Date();
+        this.hours = ( options.hours !== undefined ) ? options.hours : 12;
+        this.sunIntensity = ( options.sunIntensity !== undefined ) ? options.sunIntensity : 2;
+        this.presets = Object.assign( { night: 'night', sunrise: 'sunrise', sunset: 'sunset' }, options.presets );
+
+        this.sun = new DirectionalLight( 0xffffff, 0 );
+        this.sun.visible = false;
+        scene.add( this.sun );
+        scene.add( this.sun.target );
+
+        this.lowSun = new Color( 0xff9a50 );
+        this.highSun = new Color( 0xfff4e0 );
+        this.direction = new Vector3();
+        //Where the shadow map is centred, re-centred when the viewer wanders off
+        this.center = new Vector3( Infinity, 0, 0 );
+
+        this.enabled = false;
+        this.needsUpdate = true;
+
+        this.quality = ( options.quality !== undefined ) ? options.quality : 'medium';
+    }
+
+    set quality( value ){
+        const tier = TimeOfDay.Tiers[ value ];
+        if ( tier === undefined ){
+            console.warn( `TimeOfDay.quality: unknown tier ${value}, use ${Object.keys( TimeOfDay.Tiers ).join( ', ' )}` );
+            return;
+        }
+        this._quality = value;
+        this.tier = tier;
+
+        if ( tier.shadows ){
+            const shadow = this.sun.shadow;
+            shadow.mapSize.set( tier.mapSize, tier.mapSize );
+            shadow.bias = tier.bias;
+            shadow.normalBias = 0.02;
+            const camera = shadow.camera;
+            camera.left = -tier.extent;
+            camera.right = tier.extent;
+            camera.top = tier.extent;
+            camera.bottom = -tier.extent;
+            camera.near = 0.5;
+            camera.far = tier.extent * 4;
+            camera.updateProjectionMatrix();
+            //The map is reallocated at the new size on the next render
+            if ( shadow.map ){
+                shadow.map.dispose();
+                shadow.map = null;
+            }
+            this.renderer.shadowMap.type = tier.type;
+        }
+
+        //The shadow map type is compiled into the shaders
+        if ( this.enabled ){
+            this.scene.traverse( object => {
+                if ( object.material === undefined ) return;
+                const materials = Array.isArray( object.material ) ? object.material : [ object.material ];
+                materials.forEach( material => material.needsUpdate = true );
+            });
+        }
+
+        this.center.set( Infinity, 0, 0 );
+        this.needsUpdate = true;
+    }
+
+    get quality(){
+        return this._quality;
+    }
+
+    set time( hours ){
+        this.hours = ( ( hours % 24 ) + 24 ) % 24;
+        this.needsUpdate = true;
+    }
+
+    get time(){
+        return this.hours;
+    }
+
+    //hh:mm of the solar time
+    get label(){
+        const minutes = Math.round( this.hours * 60 ) % ( 24 * 60 );
+        const hh = Math.floor( minutes / 60 ).toString().padStart( 2, '0' );
+        const mm = ( minutes % 60 ).toString().padStart( 2, '0' );
+        return `${hh}:${mm}`;
+    }
+
+    //Meshes under root cast and receive shadows, except the collision mesh and see through materials
+    setShadowCasters( root, proxy ){
+        root.traverse( child => {
+            if ( !child.isMesh || child === proxy ) return;
+            child.castShadow = !child.material.transparent;
+            child.receiveShadow = true;
+        });
+        this.renderer.shadowMap.needsUpdate = true;
+    }
+
+    //Resolves true once the presets are loaded and the sun is up
+    start(){
+        const self = this;
+        const presets = this.presets;
+
+        return this.lighting.loadBlend( [ presets.night, presets.sunrise, presets.sunset ] ).then( ok => {
+            if ( !ok ) return false;
+            self.enabled = true;
+            self.needsUpdate = true;
+            //Shadows are rendered on demand, not every frame
+            self.renderer.shadowMap.enabled = true;
+            self.renderer.shadowMap.autoUpdate = false;
+            self.sun.visible = true;
+            return true;
+        });
+    }
+
+    //The caller sets a lighting preset to replace the blend
+    stop(){
+        this.enabled = false;
+        this.sun.visible = false;
+        this.sun.castShadow = false;
+    }
+
+    //Altitude and azimuth in radians, azimuth is clockwise from north
+    static sunPosition( date, hours, latitude ){
+        const start = new Date( date.getFullYear(), 0, 0 );
+        const day = Math.floor( ( date - start ) / 86400000 );
+        const lat = MathUtils.degToRad( latitude );
+        const declination = MathUtils.degToRad( -23.44 ) * Math.cos( 2 * Math.PI / 365 * ( day + 10 ) );
+        const hourAngle = MathUtils.degToRad( 15 * ( hours - 12 ) );
+
+        const sinAltitude = Math.sin( lat ) * Math.sin( declination ) + Math.cos( lat ) * Math.cos( declination ) * Math.cos( hourAngle );
+        const altitude = Math.asin( MathUtils.clamp( sinAltitude, -1, 1 ) );
+
+        const cosAzimuth = ( Math.sin( declination ) - Math.sin( altitude ) * Math.sin( lat ) ) / ( Math.cos( altitude ) * Math.cos( lat ) );
+        let azimuth = Math.acos( MathUtils.clamp( cosAzimuth, -1, 1 ) );
+        //Afternoon sun is in the west
+        if ( hourAngle > 0 ) azimuth = Math.PI * 2 - azimuth;
+
+        return { altitude, azimuth, hourAngle };
+    }
+
+    //position is the viewer, the shadow map is kept centred near it
+    update( position ){
+        if ( !this.enabled ) return;
+
+        const tier = this.tier;
+
+        if ( tier.shadows && this.center.distanceTo( position ) > tier.extent * 0.25 ){
+            //Snap to whole shadow map texels so re-centring doesn't make the edges crawl
+            const texel = tier.extent * 2 / tier.mapSize;
+            this.center.set( Math.round( position.x / texel ) * texel, position.y, Math.round( position.z / texel ) * texel );
+            this.needsUpdate = true;
+        }
+
+        if ( !this.needsUpdate ) return;
+        this.needsUpdate = false;
+
+        const { altitude, azimuth, hourAngle } = TimeOfDay.sunPosition( this.date, this.hours, this.latitude );
+        this.altitude = altitude;
+
+        //-z is north and +x east before the model's north is applied
+        const bearing = azimuth + MathUtils.degToRad( this.north );
+        this.direction.set( Math.sin( bearing ) * Math.cos( altitude ), Math.sin( altitude ), -Math.cos( bearing ) * Math.cos( altitude ) );
+
+        const center = ( tier.shadows ) ? this.center : position;
+        this.sun.target.position.copy( center );
+        this.sun.target.updateMatrixWorld();
+        this.sun.position.copy( center ).addScaledVector( this.direction, ( tier.shadows ) ? tier.extent * 2 : 50 );
+        this.sun.updateMatrixWorld();
+
+        const up = MathUtils.smoothstep( altitude, MathUtils.degToRad( -2 ), MathUtils.degToRad( 10 ) );
+        this.sun.intensity = this.sunIntensity * up;
+        this.sun.color.copy( this.lowSun ).lerp( this.highSun, MathUtils.smoothstep( altitude, 0, MathUtils.degToRad( 30 ) ) );
+        this.sun.castShadow = tier.shadows && altitude > 0;
+
+        //Night to sunrise or sunset through twilight, sunrise to sunset through the middle of the day
+        const presets = this.presets;
+        const day = MathUtils.smoothstep( altitude, MathUtils.degToRad( -12 ), 0 );
+        const afternoon = MathUtils.smoothstep( hourAngle, MathUtils.degToRad( -45 ), MathUtils.degToRad( 45 ) );
+
+        if ( day < 1 ){
+            this.lighting.blend( presets.night, ( afternoon < 0.5 ) ? presets.sunrise : presets.sunset, day );
+        }else{
+            this.lighting.blend( presets.sunrise, presets.sunset, afternoon );
+        }
+
+        this.renderer.shadowMap.needsUpdate = true;
+    }
+}
+
+export { TimeOfDay };
@@ -0,0 +1,242 @@
+import { Raycaster, Vector3 } from './three/three.module.js';
+
+/*Guided tour through an ordered list of hotspot stops, see tours in college.json
+The dolly walks to each stop, waits for the dwell time and any narration, then moves on.
+With a NavGrid the dolly follows the A* route to each stop, without one it walks in a
+straight line. Walking is checked against the collision mesh, when the way is blocked the
+route is worked out again from where the dolly is, if that is blocked too the dolly stops,
+the route is left for the user to walk and the tour carries on when they reach the stop.
+options:
+navGrid: NavGrid used to route between stops
+audio: AudioManager that plays the narration of each stop
+speed: walking speed in m/s
+standOff: metres from the hotspot target where the dolly stops
+onArrive( stop, index ): called when the dolly reaches a stop
+onDepart( stop, index, path ): called when the dolly starts walking to a stop, path is the route
+onBlocked( stop, index, path ): called when the dolly stops short of a stop, path is the route left to walk
+onEnd(): called when the tour finishes or is stopped
+*/
+class TourController{
+    static States = { IDLE:0, MOVING:1, DWELLING:2, BLOCKED:3 };
+
+    constructor( dolly, options = {} ){
+        if ( dolly === undefined ){
+            console.warn( 'TourController needs the dolly passing to the constructor');
+            return;
+        }
+
+        this.dolly = dolly;
+        this.navGrid = options.navGrid;
+        this.audio = options.audio;
+        this.speed = ( options.speed !== undefined ) ? options.speed : 1.2;
+        this.standOff = ( options.standOff !== undefined ) ? options.standOff : 1.5;
+        this.wallLimit = 0.5;
+        this.onArrive = options.onArrive;
+        this.onDepart = options.onDepart;
+        this.onBlocked = options.onBlocked;
+        this.onEnd = options.onEnd;
+
+        this.raycaster = new Raycaster();
+        this.goal = new Vector3();
+        this.dir = new Vector3();
+        this.pos = new Vector3();
+        this.down = new Vector3( 0, -1, 0 );
+
+        this.state = TourController.States.IDLE;
+        this.paused = false;
+    }
+
+    get active(){
+        return ( this.state !== TourController.States.IDLE );
+    }
+
+    //The user does the walking while the tour is blocked
+    get blocked(){
+        return ( this.state == TourController.States.BLOCKED );
+    }
+
+    get currentStop(){
+        if ( this.tour === undefined ) return undefined;
+        return this.tour.stops[ this.index ];
+    }
+
+    start( tour, index = 0 ){
+        if ( tour === undefined || tour.stops.length == 0 ){
+            console.warn( 'TourController.start: tour has no stops' );
+            return;
+        }
+        this.tour = tour;
+        this.paused = false;
+        this.goTo( index );
+    }
+
+    stop(){
+        this.stopNarration();
+        const wasActive = this.active;
+        this.state = TourController.States.IDLE;
+        this.tour = undefined;
+        this.paused = false;
+        if ( wasActive && this.onEnd ) this.onEnd();
+    }
+
+    next(){
+        if ( !this.active ) return;
+        if ( this.index >= this.tour.stops.length - 1 ){
+            this.stop();
+        }else{
+            this.goTo( this.index + 1 );
+        }
+    }
+
+    previous(){
+        if ( !this.active ) return;
+        this.goTo( Math.max( 0, this.index - 1 ) );
+    }
+
+    togglePause(){
+        if ( !this.active ) return;
+        this.paused = !this.paused;
+        if ( this.audio === undefined ) return;
+        if ( this.paused ){
+            this.audio.pauseNarration();
+        }else{
+            this.audio.resumeNarration();
+        }
+    }
+
+    goTo( index ){
+        this.stopNarration();
+        this.index = index;
+        const stop = this.currentStop;
+
+        if ( stop.hotspot.object === undefined ){
+            console.warn( `TourController: hotspot ${stop.hotspot.id} is not in the model, skipping it` );
+            if ( index < this.tour.stops.length - 1 ){
+                this.goTo( index + 1 );
+            }else{
+                this.stop();
+            }
+            return;
+        }
+
+        //Stand short of the target on the line from the dolly so the board is in range and in view
+        stop.hotspot.object.getWorldPosition( this.goal );
+        this.dir.copy( this.dolly.position ).sub( this.goal );
+        this.dir.y = 0;
+        const standOff = Math.min( this.standOff, stop.hotspot.radius * 0.5 );
+        if ( this.dir.lengthSq() > standOff * standOff ){
+            this.goal.add( this.dir.setLength( standOff ) );
+        }
+        this.goal.y = this.dolly.position.y;
+
+        let path;
+        if ( this.navGrid !== undefined && this.navGrid.ready ) path = this.navGrid.findPath( this.dolly.position, this.goal );
+        if ( path === undefined ) path = [ this.dolly.position.clone(), this.goal.clone() ];
+        this.path = path;
+        this.waypoints = path.slice( 1 );
+        this.rerouted = false;
+
+        this.state = TourController.States.MOVING;
+        if ( this.onDepart ) this.onDepart( stop, index, path );
+    }
+
+    arrive(){
+        const stop = this.currentStop;
+        this.state = TourController.States.DWELLING;
+        this.dwellTime = 0;
+        if ( stop.audio !== undefined ){
+            if ( this.audio !== undefined ){
+                this.audio.narrate( stop.audio );
+            }else{
+                console.warn( `TourController needs an AudioManager to play narration ${stop.audio}` );
+            }
+        }
+        if ( this.onArrive ) this.onArrive( stop, this.index );
+    }
+
+    stopNarration(){
+        if ( this.audio !== undefined ) this.audio.stopNarration();
+    }
+
+    get narrating(){
+        return ( this.audio !== undefined && this.audio.narrating );
+    }
+
+    update( dt, proxy ){
+        if ( !this.active || this.paused ) return;
+
+        if ( this.state == TourController.States.MOVING ){
+            this.walk( dt, proxy );
+        }else if ( this.state == TourController.States.DWELLING ){
+            this.dwellTime += dt;
+            if ( this.dwellTime >= this.currentStop.dwell && !this.narrating ) this.next();
+        }else if ( this.state == TourController.States.BLOCKED ){
+            this.dir.copy( this.goal ).sub( this.dolly.position );
+            this.dir.y = 0;
+            if ( this.dir.length() < this.standOff ) this.arrive();
+        }
+    }
+
+    walk( dt, proxy ){
+        const waypoint = this.waypoints[0];
+        this.dir.copy( waypoint ).sub( this.dolly.position );
+        this.dir.y = 0;
+        const distance = this.dir.length();
+        const step = Math.min( distance, this.speed * dt );
+
+        if ( distance < 0.01 ){
+            this.waypoints.shift();
+            if ( this.waypoints.length == 0 ) this.arrive();
+            return;
+        }
+
+        this.dir.normalize();
+
+        if ( proxy !== undefined ){
+            this.pos.copy( this.dolly.position );
+            this.pos.y += 1;
+            this.raycaster.set( this.pos, this.dir );
+            this.raycaster.far = step + this.wallLimit;
+            const blocked = ( this.raycaster.intersectObject( proxy ).length > 0 );
+            this.raycaster.far = Infinity;
+
+            if ( blocked ){
+                this.block();
+                return;
+            }
+        }
+
+        this.dolly.position.addScaledVector( this.dir, step );
+        if ( proxy !== undefined ) this.snapToFloor( proxy );
+    }
+
+    block(){
+        const stop = this.currentStop;
+
+        //Route again once from where the dolly is, the first route can clip a corner
+        if ( !this.rerouted && this.navGrid !== undefined && this.navGrid.ready ){
+            this.rerouted = true;
+            const path = this.navGrid.findPath( this.dolly.position, this.goal );
+            if ( path !== undefined ){
+                this.path = path;
+                this.waypoints = path.slice( 1 );
+                if ( this.onDepart ) this.onDepart( stop, this.index, path );
+                return;
+            }
+        }
+
+        this.state = TourController.States.BLOCKED;
+        const path = [ this.dolly.position.clone(), ...this.waypoints ];
+        if ( this.onBlocked ) this.onBlocked( stop, this.index, path );
+    }
+
+    snapToFloor( proxy ){
+        this.pos.copy( this.dolly.position );
+        this.pos.y += 2.5;
+        this.raycaster.set( this.pos, this.down );
+        const intersect = this.raycaster.intersectObject( proxy );
+        if ( intersect.length > 0 ) this.dolly.position.y = intersect[0].point.y;
+    }
+}
+
+export { TourController };
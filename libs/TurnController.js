@@ -0,0 +1,84 @@
+import { Vector3 } from './three/three.module.js';
+
+/*Thumbstick turning for XR controllers
+mode: snap | smooth
+snapAngle: degrees turned for each flick of the thumbstick
+smoothSpeed: degrees per second at full deflection
+deadzone: thumbstick deflection needed before a turn starts
+The dolly is rotated around the headset position rather than the dolly origin,
+so the user stays in the same place when they turn.
+*/
+class TurnController{
+    static Modes = { SNAP: 'snap', SMOOTH: 'smooth' };
+
+    constructor( dolly, camera, options = {} ){
+        if ( dolly === undefined || camera === undefined ){
+            console.warn( 'TurnController needs the dolly and camera passing to the constructor');
+            return;
+        }
+
+        this.dolly = dolly;
+        this.camera = camera;
+
+        this.mode = ( options.mode !== undefined ) ? options.mode : TurnController.Modes.SNAP;
+        this.snapAngle = ( options.snapAngle !== undefined ) ? options.snapAngle : 30;
+        this.smoothSpeed = ( options.smoothSpeed !== undefined ) ? options.smoothSpeed : 90;
+        this.deadzone = ( options.deadzone !== undefined ) ? options.deadzone : 0.5;
+
+        this.up = new Vector3( 0, 1, 0 );
+        this.head = new Vector3();
+        //A snap turn needs the thumbstick to return to the centre before the next one
+        this.snapReady = true;
+        //True while a smooth turn is under way, the comfort vignette shows then
+        this.turning = false;
+    }
+
+    //Reads the horizontal thumbstick axis from the input source that backs the controller
+    getAxis( controller ){
+        const inputSource = controller.userData.inputSource;
+        if ( inputSource === undefined || !inputSource.gamepad ) return 0;
+        const axes = inputSource.gamepad.axes;
+        //xr-standard mapping puts the thumbstick on axes 2 and 3, older runtimes only report a touchpad on 0 and 1
+        if ( axes.length >= 4 ) return axes[2];
+        if ( axes.length >= 2 ) return axes[0];
+        return 0;
+    }
+
+    update( dt, controllers ){
+        this.turning = false;
+        if ( controllers === undefined ) return;
+
+        //Prefer the right hand, fall back to whichever controller is connected
+        let controller = controllers.find( controller => controller.userData.inputSource && controller.userData.inputSource.handedness == 'right' );
+        if ( controller === undefined ) controller = controllers.find( controller => controller.userData.inputSource !== undefined );
+        if ( controller === undefined ) return;
+
+        const x = this.getAxis( controller );
+
+        if ( this.mode == TurnController.Modes.SMOOTH ){
+            if ( Math.abs( x ) > this.deadzone ){
+                //Rescale so the turn starts from zero at the edge of the deadzone
+                const amount = ( Math.abs( x ) - this.deadzone ) / ( 1 - this.deadzone ) * Math.sign( x );
+                this.rotate( -amount * this.smoothSpeed * dt * Math.PI / 180 );
+                this.turning = true;
+            }
+        }else{
+            if ( this.snapReady && Math.abs( x ) > this.deadzone ){
+                this.rotate( -Math.sign( x ) * this.snapAngle * Math.PI / 180 );
+                this.snapReady = false;
+            }else if ( Math.abs( x ) < this.deadzone * 0.5 ){
+                this.snapReady = true;
+            }
+        }
+    }
+
+    //Rotates the dolly about the vertical axis through the headset, angle in radians
+    rotate( angle ){
+        this.camera.getWorldPosition( this.head );
+        this.head.y = this.dolly.position.y;
+        this.dolly.position.sub( this.head ).applyAxisAngle( this.up, angle ).add( this.head );
+        this.dolly.rotateOnWorldAxis( this.up, angle );
+    }
+}
+
+export { TurnController };
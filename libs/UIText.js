@@ -0,0 +1,78 @@
+/*The words on the app's own panels in each language, hotspot, tour and lighting preset names are shown as written
+{0}, {1} in a string are replaced by the values passed to get, a string missing from a language falls back to English
+language: code from Languages, the browser's language if it is one of them and English if not
+*/
+class UIText{
+    static Languages = {
+        en: { name: 'English', strings: {
+            prev: '◀ Prev', next: 'Next ▶', play: '▶ Play', pause: '❚❚ Pause', takeMe: 'Take me to {0}', to: 'To {0}', startTour: 'Start tour',
+            more: 'More ▶', back: '◀ Back', seeAlso: 'See also: {0}.', stop: 'Stop {0} of {1}. Next: {2}',
+            menu: '☰ Menu', lighting: 'Lighting', timeOfDay: 'Time of day', time: 'Time {0}', settings: 'Settings',
+            volume: 'Volume {0}%', moveSpeed: 'Move speed {0} m/s', turning: 'Turning', snap: 'Snap', smooth: 'Smooth',
+            snapAngle: 'Snap angle', vignette: 'Comfort vignette', autoWalk: 'Walk to hotspots', language: 'Language',
+            performance: 'Performance', culling: 'Hide rooms out of view', lod: 'Levels of detail', merge: 'Merge meshes'
+        } },
+        fr: { name: 'Français', strings: {
+            prev: '◀ Préc.', next: 'Suiv. ▶', play: '▶ Lecture', pause: '❚❚ Pause', takeMe: 'Aller à {0}', to: 'Vers {0}', startTour: 'Visite guidée',
+            more: 'Plus ▶', back: '◀ Retour', seeAlso: 'Voir aussi : {0}.', stop: 'Étape {0} sur {1}. Suivante : {2}',
+            menu: '☰ Menu', lighting: 'Éclairage', timeOfDay: 'Heure du jour', time: 'Heure {0}', settings: 'Paramètres',
+            volume: 'Volume {0} %', moveSpeed: 'Vitesse {0} m/s', turning: 'Rotation', snap: 'Par paliers', smooth: 'Continue',
+            snapAngle: 'Angle de rotation', vignette: 'Vignette de confort', autoWalk: 'Marcher jusqu\'aux points', language: 'Langue',
+            performance: 'Performances', culling: 'Masquer les pièces hors de vue', lod: 'Niveaux de détail', merge: 'Fusionner les maillages'
+        } },
+        es: { name: 'Español', strings: {
+            prev: '◀ Ant.', next: 'Sig. ▶', play: '▶ Reanudar', pause: '❚❚ Pausa', takeMe: 'Ir a {0}', to: 'Hacia {0}', startTour: 'Visita guiada',
+            more: 'Más ▶', back: '◀ Volver', seeAlso: 'Ver también: {0}.', stop: 'Parada {0} de {1}. Siguiente: {2}',
+            menu: '☰ Menú', lighting: 'Iluminación', timeOfDay: 'Hora del día', time: 'Hora {0}', settings: 'Ajustes',
+            volume: 'Volumen {0}%', moveSpeed: 'Velocidad {0} m/s', turning: 'Giro', snap: 'Por pasos', smooth: 'Continuo',
+            snapAngle: 'Ángulo de giro', vignette: 'Viñeta de confort', autoWalk: 'Caminar hasta los puntos', language: 'Idioma',
+            performance: 'Rendimiento', culling: 'Ocultar salas fuera de vista', lod: 'Niveles de detalle', merge: 'Combinar mallas'
+        } },
+        de: { name: 'Deutsch', strings: {
+            prev: '◀ Vorige', next: 'Nächste ▶', play: '▶ Weiter', pause: '❚❚ Pause', takeMe: 'Gehe zu {0}', to: 'Zu {0}', startTour: 'Tour starten',
+            more: 'Mehr ▶', back: '◀ Zurück', seeAlso: 'Siehe auch: {0}.', stop: 'Station {0} von {1}. Nächste: {2}',
+            menu: '☰ Menü', lighting: 'Beleuchtung', timeOfDay: 'Tageszeit', time: 'Zeit {0}', settings: 'Einstellungen',
+            volume: 'Lautstärke {0} %', moveSpeed: 'Tempo {0} m/s', turning: 'Drehen', snap: 'Schrittweise', smooth: 'Stufenlos',
+            snapAngle: 'Drehwinkel', vignette: 'Komfort-Vignette', autoWalk: 'Zu Punkten gehen', language: 'Sprache',
+            performance: 'Leistung', culling: 'Räume außer Sicht ausblenden', lod: 'Detailstufen', merge: 'Meshes zusammenfassen'
+        } }
+    };
+
+    constructor( language ){
+        if ( language === undefined && typeof navigator !== 'undefined' && navigator.language ){
+            const code = navigator.language.substring( 0, 2 ).toLowerCase();
+            if ( UIText.Languages[ code ] !== undefined ) language = code;
+        }
+        this.code = 'en';
+        if ( language !== undefined ) this.language = language;
+    }
+
+    //{ label, value } for each language, as CanvasUI dropdown options
+    static get options(){
+        return Object.entries( UIText.Languages ).map( ( [ value, language ] ) => ( { label: language.name, value } ) );
+    }
+
+    set language( value ){
+        if ( UIText.Languages[ value ] === undefined ){
+            console.warn( `UIText: unknown language ${value}, use ${Object.keys( UIText.Languages ).join( ', ' )}` );
+            return;
+        }
+        this.code = value;
+    }
+
+    get language(){
+        return this.code;
+    }
+
+    get( key, ...values ){
+        let text = UIText.Languages[ this.code ].strings[ key ];
+        if ( text === undefined ) text = UIText.Languages.en.strings[ key ];
+        if ( text === undefined ){
+            console.warn( `UIText: no string ${key}` );
+            return key;
+        }
+        return text.replace( /\{(\d+)\}/g, ( match, index ) => values[ index ] );
+    }
+}
+
+export { UIText };